@@ -0,0 +1,95 @@
+/**
+ * Account Panel
+ * Login / register form on the start screen, or the signed-in player's name
+ */
+
+import { fetchCurrentUser, login, logout, register } from './api.js';
+
+export class AccountPanel {
+    constructor(element, onChange = () => {}) {
+        this.element = element;
+        this.onChange = onChange; // called with the user (or null) whenever it changes
+        this.user = null;
+        
+        this.form = element.querySelector('.account-form');
+        this.profile = element.querySelector('.account-profile');
+        this.usernameInput = element.querySelector('.account-username');
+        this.passwordInput = element.querySelector('.account-password');
+        this.errorDisplay = element.querySelector('.account-error');
+        this.nameDisplay = element.querySelector('.account-name');
+        
+        this.setupEvents();
+    }
+    
+    /**
+     * Wire up the panel's buttons
+     */
+    setupEvents() {
+        this.element.querySelector('.account-login-button').addEventListener('click', () => {
+            this.submit(login);
+        });
+        
+        this.element.querySelector('.account-register-button').addEventListener('click', () => {
+            this.submit(register);
+        });
+        
+        this.passwordInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                this.submit(login);
+            }
+        });
+        
+        this.element.querySelector('.account-logout-button').addEventListener('click', async () => {
+            try {
+                await logout();
+                this.setUser(null);
+            } catch (error) {
+                this.errorDisplay.textContent = error.message;
+            }
+        });
+    }
+    
+    /**
+     * Find out who is signed in (if anyone)
+     */
+    async load() {
+        try {
+            this.setUser(await fetchCurrentUser());
+        } catch (error) {
+            console.warn('Could not load account:', error);
+            this.setUser(null);
+        }
+    }
+    
+    /**
+     * Send the form to login() or register()
+     */
+    async submit(action) {
+        const username = this.usernameInput.value.trim();
+        const password = this.passwordInput.value;
+        if (!username || !password) {
+            this.errorDisplay.textContent = 'Enter a username and password / 請輸入帳號與密碼';
+            return;
+        }
+        
+        try {
+            this.setUser(await action(username, password));
+            this.passwordInput.value = '';
+        } catch (error) {
+            this.errorDisplay.textContent = error.message;
+        }
+    }
+    
+    /**
+     * Show the form or the profile for a user
+     */
+    setUser(user) {
+        this.user = user;
+        this.errorDisplay.textContent = '';
+        this.form.classList.toggle('hidden', !!user);
+        this.profile.classList.toggle('hidden', !user);
+        this.nameDisplay.textContent = user ? user.username : '';
+        
+        this.onChange(user);
+    }
+}
@@ -0,0 +1,134 @@
+/**
+ * Server API
+ * Small fetch wrappers for the game's /api routes
+ */
+
+const PLAYER_ID_KEY = 'shadowMaze.playerId';
+
+/**
+ * Get this browser's anonymous player id, creating it on first use
+ */
+export function getPlayerId() {
+    let playerId = localStorage.getItem(PLAYER_ID_KEY);
+    if (!playerId) {
+        playerId = crypto.randomUUID();
+        localStorage.setItem(PLAYER_ID_KEY, playerId);
+    }
+    return playerId;
+}
+
+/**
+ * Send a request and parse the JSON reply
+ * Throws an Error carrying the server's message and status on failure
+ */
+async function request(method, url, body) {
+    const response = await fetch(url, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined,
+        credentials: 'same-origin'
+    });
+    
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+        const error = new Error(data?.message || `${method} ${url} failed (${response.status})`);
+        error.status = response.status;
+        error.data = data;
+        throw error;
+    }
+    return data;
+}
+
+/**
+ * Today's daily challenge and the signed-in player's ranked attempt (if any)
+ */
+export function fetchDailyChallenge() {
+    return request('GET', '/api/daily');
+}
+
+/**
+ * Start the signed-in player's ranked attempt at today's challenge
+ */
+export function startDailyAttempt() {
+    return request('POST', '/api/daily/attempts');
+}
+
+/**
+ * Report how a ranked daily attempt ended; a win is entered on the leaderboards with it
+ * A win sends its input log, which the server re-plays (status 422 if it doesn't add up)
+ * Resolves to { attempt, score, ranks } (score and ranks are null for a loss)
+ */
+export function submitDailyResult(attemptId, { victory, elapsed, hintsUsed, events }) {
+    return request('POST', `/api/daily/attempts/${attemptId}/result`, {
+        victory,
+        elapsed,
+        hintsUsed,
+        events
+    });
+}
+
+/**
+ * Submit a completed run and its input log to the leaderboards (daily challenge runs go through their attempt instead)
+ * The server re-plays the log and rejects runs that don't add up (status 422)
+ * Resolves to { score, ranks: { difficulty: { rank, total }, maze: { rank, total } } }
+ */
+export function submitScore({ difficulty, mazeCode, seed, elapsed, hintsUsed, events }) {
+    return request('POST', '/api/scores', {
+        playerId: getPlayerId(),
+        difficulty,
+        mazeCode,
+        seed,
+        elapsed,
+        hintsUsed,
+        events
+    });
+}
+
+/**
+ * The signed-in account, or null when playing anonymously
+ */
+export async function fetchCurrentUser() {
+    try {
+        return await request('GET', '/api/me');
+    } catch (error) {
+        if (error.status === 401) return null;
+        throw error;
+    }
+}
+
+/**
+ * Create an account and sign in to it
+ */
+export function register(username, password) {
+    return request('POST', '/api/register', { username, password });
+}
+
+/**
+ * Sign in to an existing account
+ */
+export function login(username, password) {
+    return request('POST', '/api/login', { username, password });
+}
+
+/**
+ * Sign out of the current account
+ */
+export function logout() {
+    return request('POST', '/api/logout');
+}
+
+/**
+ * The signed-in player's saved campaign results: [{ levelId, stars, bestElapsed, ... }]
+ */
+export function fetchCampaignProgress() {
+    return request('GET', '/api/campaign/progress');
+}
+
+/**
+ * Save a won campaign level to the signed-in account
+ * The server re-plays the run on the level, rates it and rejects runs that don't add up (status 422)
+ * Resolves to the level's best result: { levelId, stars, bestElapsed, ... }
+ */
+export function submitCampaignRun({ levelId, elapsed, hintsUsed, events }) {
+    return request('POST', '/api/campaign/runs', { levelId, elapsed, hintsUsed, events });
+}
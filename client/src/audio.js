@@ -9,6 +9,7 @@ export class GameAudio {
         this.sounds = {};
         this.backgroundMusic = null;
         this.isMuted = false;
+        this.isPaused = false; // game paused: music held, no new sounds
         this.masterVolume = 0.7;
         this.musicVolume = 0.3;
         this.sfxVolume = 0.5;
@@ -96,7 +97,7 @@ export class GameAudio {
      * Start background music
      */
     startBackgroundMusic() {
-        if (this.sounds.background && !this.isMuted) {
+        if (this.sounds.background && !this.isMuted && !this.isPaused) {
             try {
                 this.sounds.background.loop = true;
                 this.sounds.background.volume = this.musicVolume * this.masterVolume;
@@ -122,7 +123,7 @@ export class GameAudio {
      * Try to play background music after user interaction
      */
     tryPlayBackgroundMusic() {
-        if (this.sounds.background && !this.isMuted) {
+        if (this.sounds.background && !this.isMuted && !this.isPaused) {
             this.sounds.background.play().catch(() => {
                 // Ignore if still can't play
             });
@@ -133,7 +134,7 @@ export class GameAudio {
      * Play a sound effect
      */
     playSound(soundName, volume = 1.0) {
-        if (this.isMuted || !this.sounds[soundName]) {
+        if (this.isMuted || this.isPaused || !this.sounds[soundName]) {
             return;
         }
         
@@ -166,6 +167,30 @@ export class GameAudio {
         }
     }
     
+    /**
+     * Hold the music (keeping its position) while the game is paused
+     */
+    pause() {
+        this.isPaused = true;
+        if (this.sounds.background) {
+            this.sounds.background.pause();
+        }
+        if (this.audioContext && this.audioContext.state === 'running') {
+            this.audioContext.suspend();
+        }
+    }
+    
+    /**
+     * Carry on with the music after a pause
+     */
+    resume() {
+        this.isPaused = false;
+        if (this.audioContext && this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+        this.tryPlayBackgroundMusic();
+    }
+    
     /**
      * Stop a sound
      */
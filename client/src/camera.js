@@ -0,0 +1,119 @@
+/**
+ * Camera System
+ * Follows the player with smooth easing so mazes can be larger than the canvas
+ * World coordinates are maze pixels, screen coordinates are canvas pixels
+ */
+
+export class Camera {
+    constructor() {
+        this.x = 0; // top-left corner of the view in world coordinates
+        this.y = 0;
+        this.viewWidth = 0;
+        this.viewHeight = 0;
+        this.worldWidth = 0;
+        this.worldHeight = 0;
+        this.smoothing = 8; // higher = snappier follow
+    }
+
+    /**
+     * Set the size of the visible area (the canvas)
+     */
+    setViewport(width, height) {
+        this.viewWidth = width;
+        this.viewHeight = height;
+    }
+
+    /**
+     * Set the size of the world (the maze in pixels)
+     */
+    setWorld(width, height) {
+        this.worldWidth = width;
+        this.worldHeight = height;
+    }
+
+    /**
+     * Get the camera position that centers the target, kept inside the world
+     * A world smaller than the view is centered instead
+     */
+    getTargetPosition(target) {
+        return {
+            x: this.clampAxis(target.x - this.viewWidth / 2, this.worldWidth, this.viewWidth),
+            y: this.clampAxis(target.y - this.viewHeight / 2, this.worldHeight, this.viewHeight)
+        };
+    }
+
+    /**
+     * Clamp one axis of the camera position
+     */
+    clampAxis(position, worldSize, viewSize) {
+        if (worldSize <= viewSize) {
+            return (worldSize - viewSize) / 2;
+        }
+        return Math.max(0, Math.min(position, worldSize - viewSize));
+    }
+
+    /**
+     * Ease towards the target (frame-rate independent)
+     */
+    follow(target, deltaTime) {
+        const goal = this.getTargetPosition(target);
+        const t = 1 - Math.exp(-this.smoothing * deltaTime);
+
+        this.x += (goal.x - this.x) * t;
+        this.y += (goal.y - this.y) * t;
+    }
+
+    /**
+     * Jump straight to the target without easing
+     */
+    snapTo(target) {
+        const goal = this.getTargetPosition(target);
+        this.x = goal.x;
+        this.y = goal.y;
+    }
+
+    /**
+     * Apply the camera transform to a canvas context
+     * Rounded to whole pixels so cell edges stay crisp
+     */
+    apply(ctx) {
+        ctx.translate(-Math.round(this.x), -Math.round(this.y));
+    }
+
+    /**
+     * Convert world coordinates to screen coordinates
+     */
+    worldToScreen(x, y) {
+        return { x: x - Math.round(this.x), y: y - Math.round(this.y) };
+    }
+
+    /**
+     * Convert screen coordinates to world coordinates
+     */
+    screenToWorld(x, y) {
+        return { x: x + Math.round(this.x), y: y + Math.round(this.y) };
+    }
+
+    /**
+     * Get the range of grid cells on screen (end values exclusive)
+     */
+    getVisibleCellBounds(cellSize) {
+        const left = Math.round(this.x);
+        const top = Math.round(this.y);
+        return {
+            startX: Math.floor(left / cellSize),
+            startY: Math.floor(top / cellSize),
+            endX: Math.ceil((left + this.viewWidth) / cellSize),
+            endY: Math.ceil((top + this.viewHeight) / cellSize)
+        };
+    }
+    
+    /**
+     * Check if a world-space circle is at least partly on screen
+     */
+    isVisible(x, y, radius = 0) {
+        const screen = this.worldToScreen(x, y);
+        return screen.x + radius >= 0 && screen.x - radius <= this.viewWidth &&
+               screen.y + radius >= 0 && screen.y - radius <= this.viewHeight;
+    }
+}
@@ -0,0 +1,241 @@
+/**
+ * Campaign Progress and Level Select
+ * Stars and best times for each campaign level, saved in localStorage and copied to
+ * the player's account when signed in. Won runs not yet saved to the account are kept
+ * with their input log so the server can check them once the player signs in
+ */
+
+import { CAMPAIGN_LEVELS, MAX_STARS, isLevelUnlocked } from '@shared/maze/campaign';
+import { fetchCampaignProgress, submitCampaignRun } from './api.js';
+
+const STORAGE_KEY = 'shadowMaze.campaign';
+
+/**
+ * Stars as ★★☆
+ */
+export function formatStars(stars) {
+    return '★'.repeat(stars) + '☆'.repeat(MAX_STARS - stars);
+}
+
+export class CampaignProgress {
+    constructor() {
+        // levelId -> { stars, bestElapsed, pending: [{ stars, elapsed, hintsUsed, events }] }
+        this.levels = {};
+        this.load();
+    }
+    
+    /**
+     * Read saved progress, ignoring levels that no longer exist
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            if (saved && typeof saved === 'object') {
+                for (const level of CAMPAIGN_LEVELS) {
+                    const entry = saved[level.id];
+                    if (entry && typeof entry.stars === 'number' && typeof entry.bestElapsed === 'number') {
+                        this.levels[level.id] = {
+                            stars: entry.stars,
+                            bestElapsed: entry.bestElapsed,
+                            pending: Array.isArray(entry.pending) ? entry.pending : []
+                        };
+                    }
+                }
+            }
+        } catch (error) {
+            console.warn('Could not load campaign progress:', error);
+        }
+    }
+    
+    /**
+     * Write the progress to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.levels));
+        } catch (error) {
+            console.warn('Could not save campaign progress:', error);
+        }
+    }
+    
+    /**
+     * Most stars earned on a level (0 if never won)
+     */
+    getStars(levelId) {
+        return this.levels[levelId]?.stars || 0;
+    }
+    
+    /**
+     * Fastest win on a level in seconds, or null
+     */
+    getBestElapsed(levelId) {
+        return this.levels[levelId]?.bestElapsed ?? null;
+    }
+    
+    /**
+     * Check a level can be played yet
+     */
+    isUnlocked(levelId) {
+        return isLevelUnlocked(levelId, id => this.getStars(id));
+    }
+    
+    /**
+     * Stars earned over the whole campaign
+     */
+    getTotalStars() {
+        return CAMPAIGN_LEVELS.reduce((total, level) => total + this.getStars(level.id), 0);
+    }
+    
+    /**
+     * Check a level has won runs not yet saved to the account
+     */
+    hasPending(levelId) {
+        return (this.levels[levelId]?.pending.length || 0) > 0;
+    }
+    
+    /**
+     * Note a won run, keeping it for the account if it beats the level's stars or time
+     * Returns true when it did
+     */
+    record(levelId, { stars, elapsed, hintsUsed, events }) {
+        const entry = this.levels[levelId];
+        if (entry && stars <= entry.stars && elapsed >= entry.bestElapsed) return false;
+        
+        const pending = (entry?.pending || []).filter(run => run.stars > stars || run.elapsed < elapsed);
+        pending.push({ stars, elapsed, hintsUsed, events });
+        this.levels[levelId] = {
+            stars: Math.max(stars, entry?.stars || 0),
+            bestElapsed: Math.min(elapsed, entry?.bestElapsed ?? Infinity),
+            pending
+        };
+        this.save();
+        return true;
+    }
+    
+    /**
+     * Fold a result from the server into the local progress
+     */
+    merge({ levelId, stars, bestElapsed }) {
+        const entry = this.levels[levelId];
+        this.levels[levelId] = {
+            stars: Math.max(stars, entry?.stars || 0),
+            bestElapsed: Math.min(bestElapsed, entry?.bestElapsed ?? Infinity),
+            pending: entry?.pending || []
+        };
+    }
+    
+    /**
+     * Bring the local and account progress together: take the account's results,
+     * then send up any runs won here, in level order. Only call while signed in
+     * Returns the ids of levels that had a run rejected
+     */
+    async sync() {
+        const rejected = new Set();
+        try {
+            for (const result of await fetchCampaignProgress()) {
+                if (CAMPAIGN_LEVELS.some(level => level.id === result.levelId)) {
+                    this.merge(result);
+                }
+            }
+            
+            for (const level of CAMPAIGN_LEVELS) {
+                if (!(await this.upload(level.id))) {
+                    rejected.add(level.id);
+                }
+            }
+        } catch (error) {
+            console.warn('Could not sync campaign progress:', error);
+        }
+        this.save();
+        return rejected;
+    }
+    
+    /**
+     * Send a level's unsaved runs to the account
+     * Rejected runs are dropped; runs on a level the account hasn't unlocked yet
+     * and other failures are left for the next sync
+     * Returns false if any run was rejected
+     */
+    async upload(levelId) {
+        const entry = this.levels[levelId];
+        let accepted = true;
+        while (entry && entry.pending.length > 0) {
+            const run = entry.pending[0];
+            try {
+                this.merge(await submitCampaignRun({ levelId, ...run }));
+            } catch (error) {
+                if (error.status === 403) break;
+                if (error.status !== 422) throw error;
+                console.warn(`Campaign run on level ${levelId} rejected:`, error.message);
+                accepted = false;
+            }
+            entry.pending.shift();
+        }
+        return accepted;
+    }
+}
+
+export class LevelSelectScreen {
+    constructor(element, progress, onSelect = () => {}) {
+        this.element = element;
+        this.progress = progress;
+        this.onSelect = onSelect; // called with the level id when a level is picked
+        
+        this.grid = element.querySelector('.level-grid');
+        this.summary = element.querySelector('.campaign-summary');
+        this.intro = element.querySelector('.level-intro');
+    }
+    
+    /**
+     * Rebuild the level buttons from the current progress
+     */
+    render() {
+        this.grid.innerHTML = '';
+        
+        for (const level of CAMPAIGN_LEVELS) {
+            const unlocked = this.progress.isUnlocked(level.id);
+            const stars = this.progress.getStars(level.id);
+            
+            const button = document.createElement('button');
+            button.className = 'level-button';
+            button.classList.toggle('completed', stars > 0);
+            button.disabled = !unlocked;
+            
+            const number = document.createElement('span');
+            number.className = 'level-number';
+            number.textContent = unlocked ? level.id : '🔒';
+            
+            const name = document.createElement('span');
+            name.className = 'level-name';
+            name.textContent = level.name;
+            
+            const rating = document.createElement('span');
+            rating.className = 'level-stars';
+            rating.textContent = formatStars(stars);
+            
+            button.append(number, name, rating);
+            button.addEventListener('click', () => this.onSelect(level.id));
+            button.addEventListener('mouseenter', () => this.showIntro(level));
+            button.addEventListener('focus', () => this.showIntro(level));
+            this.grid.appendChild(button);
+        }
+        
+        const total = this.progress.getTotalStars();
+        this.summary.textContent = `★ ${total} / ${CAMPAIGN_LEVELS.length * MAX_STARS}`;
+        
+        // Start on the first level still to be won
+        const next = CAMPAIGN_LEVELS.find(level => this.progress.getStars(level.id) === 0 && this.progress.isUnlocked(level.id));
+        this.showIntro(next || CAMPAIGN_LEVELS[CAMPAIGN_LEVELS.length - 1]);
+    }
+    
+    /**
+     * Describe a level under the grid
+     */
+    showIntro(level) {
+        const best = this.progress.getBestElapsed(level.id);
+        const bestNote = best === null ? '' : ` · Best ${best.toFixed(1)}s`;
+        this.intro.textContent = this.progress.isUnlocked(level.id)
+            ? `${level.id}. ${level.name}${bestNote} — ${level.intro}`
+            : `${level.id}. ${level.name} — Win the level before to unlock / 通過前一關以解鎖`;
+    }
+}
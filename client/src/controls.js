@@ -1,8 +1,35 @@
 /**
  * Game Controls System
- * Handles keyboard and touch input for player movement
+ * Handles keyboard, touch (d-pad and swipes) and gamepad input for player movement,
+ * held actions such as sprinting, plus one-shot actions such as toggling the minimap
  */
 
+import { KeyBindings } from './keyBindings.js';
+
+// Standard gamepad layout (https://w3c.github.io/gamepad/#remapping)
+const GAMEPAD_DPAD = {
+    12: 'up',
+    13: 'down',
+    14: 'left',
+    15: 'right'
+};
+
+const GAMEPAD_ACTIONS = {
+    0: 'confirm', // A / Cross
+    1: 'back',    // B / Circle
+    2: 'hint',    // X / Square
+    3: 'pause',   // Y / Triangle
+    5: 'flare',   // RB / R1
+    8: 'minimap', // Select / Back
+    9: 'pause'    // Start
+};
+
+// Buttons whose action lasts as long as they are held
+const GAMEPAD_HELD = {
+    4: 'sprint',  // LB / L1
+    7: 'sprint'   // RT / R2
+};
+
 export class GameControls {
     constructor() {
         this.keys = {};
@@ -12,41 +39,70 @@ export class GameControls {
             left: false,
             right: false
         };
+        this.actionHandlers = {}; // one-shot actions -> callback
+        this.bindings = new KeyBindings();
+        this.keyCapture = null; // callback taking the next key press, while rebinding
+        
+        // Swipe / drag gestures on the game canvas
+        this.gesture = null; // { pointerId, anchorX, anchorY, direction } while a finger is down
+        this.queuedSwipe = null; // direction of a swipe that has not been walked yet
+        this.swipeThreshold = 30; // CSS pixels of travel before a swipe counts
+        this.hapticsEnabled = true;
+        
+        // Gamepad state (polled every frame while a pad is connected)
+        this.gamepadIndex = null;
+        this.gamepadDeadZone = 0.35; // stick travel ignored around the centre (0-1)
+        this.gamepadDirections = { up: false, down: false, left: false, right: false };
+        this.gamepadButtons = {}; // button index -> pressed last poll
+        this.gamepadHeld = {}; // held action -> true while its button is down
+        this.gamepadPolling = false;
+        this.navigateRepeatDelay = 400; // ms before a held direction repeats in menus
+        this.navigateRepeatInterval = 150;
+        this.navigateHeldSince = 0;
+        this.navigateLastRepeat = 0;
         
         // Initialize input handlers
         this.setupKeyboardControls();
         this.setupTouchControls();
+        this.setupGestureControls();
+        this.setupGamepadControls();
     }
     
     /**
      * Setup keyboard event listeners
      */
     setupKeyboardControls() {
-        // Key mappings
-        this.keyMappings = {
-            'KeyW': 'up',
-            'ArrowUp': 'up',
-            'KeyS': 'down',
-            'ArrowDown': 'down',
-            'KeyA': 'left',
-            'ArrowLeft': 'left',
-            'KeyD': 'right',
-            'ArrowRight': 'right'
-        };
-        
         // Keydown event
         document.addEventListener('keydown', (event) => {
-            const action = this.keyMappings[event.code];
+            // While rebinding, the next key press goes to the settings screen
+            if (this.keyCapture) {
+                event.preventDefault();
+                const capture = this.keyCapture;
+                this.keyCapture = null;
+                capture(event.code);
+                return;
+            }
+            
+            if (this.isTextInput(event.target)) return;
+            
+            const action = this.bindings.getAction(event.code);
             if (action) {
                 event.preventDefault();
                 this.keys[event.code] = true;
                 console.log(`Key pressed: ${event.code} -> ${action}`);
+                
+                // Fire one-shot actions once per press, not on key repeat
+                if (!event.repeat) {
+                    this.fireAction(action);
+                }
             }
         });
         
         // Keyup event
         document.addEventListener('keyup', (event) => {
-            const action = this.keyMappings[event.code];
+            if (this.isTextInput(event.target)) return;
+            
+            const action = this.bindings.getAction(event.code);
             if (action) {
                 event.preventDefault();
                 this.keys[event.code] = false;
@@ -60,6 +116,257 @@ export class GameControls {
         });
     }
     
+    /**
+     * Send the next key press to a callback instead of the game (for rebinding)
+     */
+    captureNextKey(callback) {
+        this.keyCapture = callback;
+    }
+    
+    /**
+     * Stop waiting for a key to rebind
+     */
+    cancelKeyCapture() {
+        this.keyCapture = null;
+    }
+    
+    /**
+     * Check if an event target is a text field (typing there must not move the player)
+     */
+    isTextInput(target) {
+        return target instanceof HTMLInputElement || target instanceof HTMLTextAreaElement;
+    }
+    
+    /**
+     * Register a callback for a one-shot action (e.g. 'minimap', 'hint')
+     * Gamepads also fire 'confirm', 'back', 'pause', 'navigate' (with a direction)
+     * and 'gamepad' (with connected true/false and the pad's name)
+     */
+    onAction(action, handler) {
+        this.actionHandlers[action] = handler;
+    }
+    
+    /**
+     * Call the handler for an action, if one is registered
+     */
+    fireAction(action, ...args) {
+        if (this.actionHandlers[action]) {
+            this.actionHandlers[action](...args);
+        }
+    }
+    
+    /**
+     * Setup swipe-to-move and hold-and-drag movement on the game canvas
+     * A swipe past the threshold steps once; keeping the finger down keeps walking,
+     * and dragging the other way past the threshold turns
+     * A touch that never becomes a swipe, or a mouse click, fires 'tap' with its client position
+     */
+    setupGestureControls() {
+        const canvas = document.getElementById('gameCanvas');
+        if (!canvas) return;
+        
+        canvas.addEventListener('pointerdown', (event) => {
+            if (event.pointerType === 'mouse' || this.gesture) return;
+            
+            this.gesture = {
+                pointerId: event.pointerId,
+                anchorX: event.clientX,
+                anchorY: event.clientY,
+                direction: null
+            };
+            canvas.setPointerCapture(event.pointerId);
+        });
+        
+        canvas.addEventListener('pointermove', (event) => {
+            const gesture = this.gesture;
+            if (!gesture || event.pointerId !== gesture.pointerId) return;
+            
+            const dx = event.clientX - gesture.anchorX;
+            const dy = event.clientY - gesture.anchorY;
+            if (Math.max(Math.abs(dx), Math.abs(dy)) < this.swipeThreshold) return;
+            
+            // Measure the next turn from here
+            gesture.anchorX = event.clientX;
+            gesture.anchorY = event.clientY;
+            
+            const direction = Math.abs(dx) > Math.abs(dy)
+                ? (dx < 0 ? 'left' : 'right')
+                : (dy < 0 ? 'up' : 'down');
+            if (direction !== gesture.direction) {
+                gesture.direction = direction;
+                this.queuedSwipe = direction;
+                this.vibrate(12);
+                console.log(`Swipe: ${direction}`);
+            }
+        });
+        
+        canvas.addEventListener('pointerup', (event) => {
+            if (event.pointerType === 'mouse') {
+                if (event.button === 0) {
+                    this.fireAction('tap', event.clientX, event.clientY);
+                }
+                return;
+            }
+            
+            if (this.gesture && event.pointerId === this.gesture.pointerId) {
+                if (!this.gesture.direction) {
+                    this.fireAction('tap', event.clientX, event.clientY);
+                }
+                this.gesture = null;
+            }
+        });
+        
+        canvas.addEventListener('pointercancel', (event) => {
+            if (this.gesture && event.pointerId === this.gesture.pointerId) {
+                this.gesture = null;
+            }
+        });
+    }
+    
+    /**
+     * Forget a queued swipe once the game has acted on it (one swipe = one step)
+     */
+    consumeSwipe() {
+        this.queuedSwipe = null;
+    }
+    
+    /**
+     * Short vibration for touch feedback, if enabled and supported
+     */
+    vibrate(duration) {
+        if (this.hapticsEnabled && navigator.vibrate) {
+            navigator.vibrate(duration);
+        }
+    }
+    
+    /**
+     * Setup gamepad hot-plug detection
+     */
+    setupGamepadControls() {
+        if (!navigator.getGamepads) return;
+        
+        window.addEventListener('gamepadconnected', (event) => {
+            console.log(`Gamepad connected: ${event.gamepad.id}`);
+            if (this.gamepadIndex === null) {
+                this.useGamepad(event.gamepad.index);
+            }
+            this.fireAction('gamepad', true, event.gamepad.id);
+        });
+        
+        window.addEventListener('gamepaddisconnected', (event) => {
+            console.log(`Gamepad disconnected: ${event.gamepad.id}`);
+            if (event.gamepad.index !== this.gamepadIndex) return;
+            
+            // Fall back to another connected pad, if there is one
+            const other = Array.from(navigator.getGamepads()).find(pad => pad && pad.index !== event.gamepad.index);
+            this.gamepadIndex = null;
+            this.gamepadDirections = { up: false, down: false, left: false, right: false };
+            this.gamepadButtons = {};
+            this.gamepadHeld = {};
+            if (other) {
+                this.useGamepad(other.index);
+            }
+            this.fireAction('gamepad', false, event.gamepad.id);
+        });
+        
+        // Pads that were connected before the page loaded
+        const connected = Array.from(navigator.getGamepads()).find(pad => pad);
+        if (connected) {
+            this.useGamepad(connected.index);
+        }
+    }
+    
+    /**
+     * Start reading a gamepad, polling it once per animation frame
+     */
+    useGamepad(index) {
+        this.gamepadIndex = index;
+        if (this.gamepadPolling) return;
+        
+        this.gamepadPolling = true;
+        const poll = () => {
+            if (this.gamepadIndex === null) {
+                this.gamepadPolling = false;
+                return;
+            }
+            this.pollGamepad(performance.now());
+            requestAnimationFrame(poll);
+        };
+        requestAnimationFrame(poll);
+    }
+    
+    /**
+     * Set how far the analog stick must move before it counts (0-1)
+     */
+    setDeadZone(deadZone) {
+        this.gamepadDeadZone = Math.max(0, Math.min(0.95, deadZone));
+    }
+    
+    /**
+     * Read the gamepad: held directions for movement and held actions, button presses as actions
+     */
+    pollGamepad(time) {
+        const pad = navigator.getGamepads()[this.gamepadIndex];
+        if (!pad) return;
+        
+        // D-pad, or the left stick's dominant axis outside the dead zone
+        const directions = { up: false, down: false, left: false, right: false };
+        for (const [button, direction] of Object.entries(GAMEPAD_DPAD)) {
+            if (pad.buttons[button]?.pressed) {
+                directions[direction] = true;
+            }
+        }
+        
+        const x = pad.axes[0] || 0;
+        const y = pad.axes[1] || 0;
+        if (Math.max(Math.abs(x), Math.abs(y)) > this.gamepadDeadZone) {
+            if (Math.abs(x) > Math.abs(y)) {
+                directions[x < 0 ? 'left' : 'right'] = true;
+            } else {
+                directions[y < 0 ? 'up' : 'down'] = true;
+            }
+        }
+        
+        this.updateNavigation(directions, time);
+        this.gamepadDirections = directions;
+        
+        // Face buttons fire once per press
+        for (const [button, action] of Object.entries(GAMEPAD_ACTIONS)) {
+            const pressed = !!pad.buttons[button]?.pressed;
+            if (pressed && !this.gamepadButtons[button]) {
+                this.fireAction(action);
+            }
+            this.gamepadButtons[button] = pressed;
+        }
+        
+        const held = {};
+        for (const [button, action] of Object.entries(GAMEPAD_HELD)) {
+            if (pad.buttons[button]?.pressed) {
+                held[action] = true;
+            }
+        }
+        this.gamepadHeld = held;
+    }
+    
+    /**
+     * Turn held gamepad directions into menu 'navigate' actions,
+     * once on press and then repeating while held
+     */
+    updateNavigation(directions, time) {
+        const direction = ['up', 'down', 'left', 'right'].find(name => directions[name]);
+        if (!direction) return;
+        
+        if (!this.gamepadDirections[direction]) {
+            this.navigateHeldSince = time;
+            this.navigateLastRepeat = time;
+            this.fireAction('navigate', direction);
+        } else if (time - this.navigateHeldSince >= this.navigateRepeatDelay &&
+                   time - this.navigateLastRepeat >= this.navigateRepeatInterval) {
+            this.navigateLastRepeat = time;
+            this.fireAction('navigate', direction);
+        }
+    }
+    
     /**
      * Setup touch controls for mobile devices
      */
@@ -154,7 +461,7 @@ export class GameControls {
     }
     
     /**
-     * Check if a key or direction is currently pressed
+     * Check if a key, direction or held action (e.g. 'sprint') is currently pressed
      */
     isPressed(keyOrDirection) {
         // Check keyboard input
@@ -162,17 +469,23 @@ export class GameControls {
             return true;
         }
         
-        // Check mapped keyboard input
-        const mappedKeys = Object.entries(this.keyMappings)
-            .filter(([_, action]) => action === keyOrDirection)
-            .map(([key, _]) => key);
-        
-        for (const key of mappedKeys) {
+        // Check keys bound to the action
+        for (const key of this.bindings.getKeys(keyOrDirection)) {
             if (this.keys[key]) {
                 return true;
             }
         }
         
+        // Check gamepad
+        if (this.gamepadDirections[keyOrDirection] || this.gamepadHeld[keyOrDirection]) {
+            return true;
+        }
+        
+        // Check swipes and drags on the canvas
+        if (this.queuedSwipe === keyOrDirection || (this.gesture && this.gesture.direction === keyOrDirection)) {
+            return true;
+        }
+        
         // Check touch controls
         return this.touchControls[keyOrDirection] || false;
     }
@@ -203,6 +516,8 @@ export class GameControls {
      */
     reset() {
         this.keys = {};
+        this.gesture = null;
+        this.queuedSwipe = null;
         this.touchControls = {
             up: false,
             down: false,
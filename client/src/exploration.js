@@ -0,0 +1,55 @@
+/**
+ * Exploration Map
+ * Remembers which maze cells the player has seen and when they were last in the light
+ * Memory can optionally fade so old corridors slip back into darkness
+ */
+
+export class ExplorationMap {
+    constructor(width, height, fadeDuration = 0) {
+        this.width = width;
+        this.height = height;
+        this.fadeDuration = fadeDuration; // seconds until a memory is gone, 0 = never fades
+        this.explored = new Uint8Array(width * height);
+        this.lastSeen = new Float64Array(width * height);
+        this.exploredCount = 0;
+    }
+    
+    /**
+     * Record the currently visible cells (indices y * width + x) as seen at `time` (ms)
+     */
+    update(cellIndices, time) {
+        for (const index of cellIndices) {
+            if (!this.explored[index]) {
+                this.explored[index] = 1;
+                this.exploredCount++;
+            }
+            this.lastSeen[index] = time;
+        }
+    }
+    
+    /**
+     * Check if a cell has ever been seen
+     */
+    isExplored(x, y) {
+        if (x < 0 || x >= this.width || y < 0 || y >= this.height) return false;
+        return this.explored[y * this.width + x] === 1;
+    }
+    
+    /**
+     * How strongly a cell is remembered at `time` (ms): 1 = clear, 0 = forgotten
+     */
+    getMemoryStrength(x, y, time) {
+        if (!this.isExplored(x, y)) return 0;
+        if (this.fadeDuration <= 0) return 1;
+        
+        const age = (time - this.lastSeen[y * this.width + x]) / 1000;
+        return Math.max(0, 1 - age / this.fadeDuration);
+    }
+    
+    /**
+     * Check if a cell is still remembered at `time` (ms)
+     */
+    isRemembered(x, y, time) {
+        return this.getMemoryStrength(x, y, time) > 0;
+    }
+}
@@ -3,10 +3,30 @@
  * Handles game states, rendering, and game loop
  */
 
+import { AccountPanel } from './account.js';
 import { GameAudio } from './audio.js';
+import { Camera } from './camera.js';
+import { CampaignProgress, LevelSelectScreen, formatStars } from './campaign.js';
 import { GameControls } from './controls.js';
-import { LightingSystem } from './lighting.js';
-import { MazeGenerator } from './maze.js';
+import { ExplorationMap } from './exploration.js';
+import { LightingSystem, chooseTorchSpots, getLockColor } from './lighting.js';
+import { MenuNavigator } from './menuNavigation.js';
+import { Minimap } from './minimap.js';
+import { Preferences } from './preferences.js';
+import { SettingsScreen } from './settings.js';
+import { calculateStars, getCampaignLevel, getLevelRules } from '@shared/maze/campaign';
+import { MazeGenerator } from '@shared/maze/maze';
+import { decodeMazeCode, encodeMazeCode } from '@shared/maze/mazeCode';
+import { EnemySimulation, PlayerTrack, getEnemyPosition } from '@shared/maze/enemies';
+import { CELL, Inventory } from '@shared/maze/items';
+import { Lantern } from '@shared/maze/lantern';
+import { FLARE_DURATION, FLARE_LIGHT_RANGE, LightTrack } from '@shared/maze/light';
+import { DIRECTION_CODES, DIRECTION_OFFSETS, EXIT_REACH_PROGRESS, SPRINT_CODES, canMoveTo, easeMove, getMoveDuration } from '@shared/maze/movement';
+import { findPathBFS } from '@shared/maze/pathfinding';
+import { DIFFICULTY_RULES, calculateParTime, calculateTimeLimit } from '@shared/maze/rules';
+import { isStandardMaze } from '@shared/maze/verify';
+import { fetchDailyChallenge, startDailyAttempt, submitDailyResult, submitScore } from './api.js';
+import { ReplayPlayer, RunRecorder, createMazeFromReplay, migrateReplay, validateReplay } from './replay.js';
 
 class ShadowMazeGame {
     constructor() {
@@ -14,51 +34,131 @@ class ShadowMazeGame {
         this.ctx = this.canvas.getContext('2d');
         
         // Game state
-        this.gameState = 'start'; // start, difficulty, playing, victory, defeat
+        this.gameState = 'start'; // start, difficulty, playing, paused, victory, defeat, replay
         this.gameTime = 60; // seconds
         this.gameTimer = null;
+        this.parTime = 0; // seconds needed to walk the shortest route without stopping
+        this.runStartTime = 0;
+        this.timerSeconds = 0; // whole seconds of run time the countdown has taken off
+        this.pausedAt = 0; // wall-clock time the current pause began
+        this.pausedTime = 0; // ms of the current run spent paused
         this.selectedDifficulty = 'medium';
+        this.mazeCode = ''; // shareable code of the current maze
+        this.lastRunConfig = null; // seed and size of the last maze, for replaying it
+        this.runSettings = null; // difficulty or campaign level settings of the current run
+        this.timeLimit = 0; // seconds on the clock when the run started
         
         // Movement state
         this.isMoving = false;
         this.moveStartTime = 0;
-        this.moveDuration = 120; // milliseconds for smooth movement
+        this.moveDuration = 120; // milliseconds the current move takes (less when sprinting)
         this.moveStartPos = { x: 0, y: 0 };
         this.moveTargetPos = { x: 0, y: 0 };
         this.lastInputTime = 0;
         this.inputDelay = 80; // milliseconds between accepting new movement inputs
         
-        // Difficulty settings
+        // Hint state
+        this.hintsRemaining = 0;
+        this.hintsUsed = 0;
+        this.hintTrail = null; // { cells, shownAt } while a breadcrumb trail is on screen
+        
+        // Click / tap to travel: cells still to walk, in order
+        this.travelRoute = null;
+        this.hintDuration = 4000; // milliseconds a hint stays visible
+        
+        // Lights besides the player's lantern
+        this.playerLight = null;
+        this.torches = []; // { spot, light } of each wall torch
+        this.flares = []; // { time (ms into the run), cell } of each flare dropped
+        this.flareLights = []; // light of each flare while it burns, by drop
+        this.flaresRemaining = 0;
+        this.flareDuration = FLARE_DURATION; // milliseconds a dropped flare burns
+        
+        // Fuel of the player's lantern, and sprinting switched on from the HUD button
+        this.lantern = null;
+        this.sprintToggled = false;
+        
+        // Result of the last finished run
+        this.runResult = null;
+        
+        // Daily challenge from the server, and the daily run in progress
+        this.daily = null; // { date, seed, algorithm, difficulty, width, height, endsAt, attempt }
+        this.dailyRun = null; // { date, attemptId } - attemptId is null for unranked practice
+        this.dailyCountdownTimer = null;
+        
+        // Campaign progress, and the level being played (null outside the campaign)
+        this.campaign = new CampaignProgress();
+        this.levelSelect = null;
+        this.campaignLevel = null;
+        
+        // Recording of the current run, and replay playback state
+        this.recorder = new RunRecorder();
+        this.replayPlayer = null;
+        this.replayTime = 0; // ms into the replay
+        this.replaySpeed = 1;
+        this.replayPaused = false;
+        this.replayReturnScreen = 'startScreen';
+        this.replayReturnState = 'start';
+        
+        // Difficulty settings - maze size, speed, time and hint rules are shared
+        // with the server (shared/maze/rules.ts), the rest only affects presentation
         this.difficultySettings = {
             easy: {
+                ...DIFFICULTY_RULES.easy,
                 name: '簡單 / Easy',
-                timeLimit: 90,
-                mazeSizeMultiplier: 0.4,
                 lightRadius: 120,
-                moveDuration: 160 // slower movement for easy
+                memoryFade: 0, // explored corridors are never forgotten
+                minimap: 'always', // always, toggle (M key / HUD button) or hidden
+                hintSteps: 15, // how far along the route a hint reveals
+                torches: 8, // wall torches lighting the maze
+                flares: 3, // flares the player can drop
+                emberRadius: 50 // light radius left once the lantern runs dry
             },
             medium: {
+                ...DIFFICULTY_RULES.medium,
                 name: '中等 / Medium',
-                timeLimit: 60,
-                mazeSizeMultiplier: 0.6,
                 lightRadius: 100,
-                moveDuration: 120 // medium movement speed
+                memoryFade: 60, // seconds until an explored corridor fades from memory
+                minimap: 'toggle',
+                hintSteps: 10,
+                torches: 5,
+                flares: 2,
+                emberRadius: 40
             },
             hard: {
+                ...DIFFICULTY_RULES.hard,
                 name: '困難 / Hard',
-                timeLimit: 40,
-                mazeSizeMultiplier: 0.8,
                 lightRadius: 80,
-                moveDuration: 90 // faster movement for hard
+                memoryFade: 20,
+                minimap: 'hidden',
+                hintSteps: 8,
+                torches: 3,
+                flares: 1,
+                emberRadius: 32
             }
         };
         
         // Game objects
         this.maze = null;
+        this.mazeStats = null; // solution length, dead ends, etc. of the current maze
         this.player = null;
+        this.exploration = null; // cells the player has seen
+        this.playerTrack = null; // the cell the player is in over the run, for the creatures
+        this.lightTrack = null; // how far the player's light reaches over the run, for the creatures
+        this.enemies = null; // shadow creatures of the current run
+        this.exitArrivalTime = null; // run time the player reaches the exit, once the move is under way
+        this.inventory = null; // keys and clocks picked up this run
+        this.minimap = null;
+        this.minimapVisible = false;
         this.lighting = null;
+        this.camera = new Camera();
         this.audio = null;
         this.controls = null;
+        this.menu = null;
+        this.preferences = new Preferences();
+        this.settings = null;
+        this.settingsReturnScreen = 'startScreen';
+        this.account = null;
         
         // Canvas properties
         this.cellSize = 20;
@@ -79,17 +179,42 @@ class ShadowMazeGame {
     async init() {
         console.log('Initializing Shadow Maze Game...');
         
-        // Setup canvas
-        this.resizeCanvas();
-        window.addEventListener('resize', () => this.resizeCanvas());
-        
         // Initialize game components
         this.audio = new GameAudio();
         this.controls = new GameControls();
+        this.menu = new MenuNavigator();
+        this.settings = new SettingsScreen(document.getElementById('settingsScreen'), this.controls, this.preferences, () => {
+            this.updateKeyboardHint();
+            this.applyPreferences();
+        });
+        this.applyPreferences();
         this.lighting = new LightingSystem();
+        this.minimap = new Minimap(document.getElementById('minimapCanvas'));
+        this.levelSelect = new LevelSelectScreen(document.getElementById('levelSelectScreen'), this.campaign, (levelId) => {
+            this.startCampaignLevel(levelId);
+        });
+        
+        // Setup canvas
+        this.resizeCanvas();
+        window.addEventListener('resize', () => this.resizeCanvas());
         
         // Setup UI event listeners
         this.setupUI();
+        this.updateKeyboardHint();
+        
+        // Start straight into a shared maze when the URL carries a code
+        this.startFromUrl();
+        
+        // Find out who is signed in; today's challenge is fetched for that player
+        // and campaign progress is brought together with their account
+        this.account = new AccountPanel(document.getElementById('accountPanel'), (user) => {
+            this.loadDailyChallenge();
+            if (user) {
+                this.syncCampaign();
+            }
+        });
+        this.account.load();
+        this.startDailyCountdown();
         
         // Start background music
         await this.audio.init();
@@ -114,24 +239,13 @@ class ShadowMazeGame {
             this.canvas.height = maxWidth / 1.6;
         }
         
-        // Calculate base maze dimensions
-        const baseWidth = Math.floor(this.canvas.width / this.cellSize);
-        const baseHeight = Math.floor(this.canvas.height / this.cellSize);
+        // The camera scrolls over the maze, so its size no longer depends on the canvas
+        this.camera.setViewport(this.canvas.width, this.canvas.height);
+        this.lighting.setup(this.canvas.width, this.canvas.height, this.camera);
         
-        // Apply difficulty multiplier
-        const difficulty = this.difficultySettings[this.selectedDifficulty];
-        this.mazeWidth = Math.floor(baseWidth * difficulty.mazeSizeMultiplier);
-        this.mazeHeight = Math.floor(baseHeight * difficulty.mazeSizeMultiplier);
-        
-        // Ensure odd dimensions for proper maze generation
-        if (this.mazeWidth % 2 === 0) this.mazeWidth--;
-        if (this.mazeHeight % 2 === 0) this.mazeHeight--;
-        
-        // Minimum and maximum maze size
-        this.mazeWidth = Math.max(this.mazeWidth, 15);
-        this.mazeHeight = Math.max(this.mazeHeight, 11);
-        this.mazeWidth = Math.min(this.mazeWidth, 51);
-        this.mazeHeight = Math.min(this.mazeHeight, 31);
+        if (this.player) {
+            this.camera.snapTo(this.player);
+        }
     }
     
     /**
@@ -156,19 +270,193 @@ class ShadowMazeGame {
             this.selectDifficulty('hard');
         });
         
+        // Campaign button - shows the level select
+        document.getElementById('campaignButton').addEventListener('click', () => {
+            this.showLevelSelect();
+        });
+        
+        document.getElementById('levelSelectBackButton').addEventListener('click', () => {
+            this.showScreen('startScreen');
+        });
+        
+        document.getElementById('nextLevelButton').addEventListener('click', () => {
+            this.startCampaignLevel(this.campaignLevel.id + 1);
+        });
+        
+        // Daily challenge button
+        document.getElementById('dailyButton').addEventListener('click', () => {
+            this.startDailyChallenge();
+        });
+        
+        // Play a maze from a typed-in code
+        document.getElementById('seedButton').addEventListener('click', () => {
+            this.startFromCode(document.getElementById('seedInput').value);
+        });
+        
+        document.getElementById('seedInput').addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                this.startFromCode(event.target.value);
+            }
+        });
+        
         // Back button
         document.getElementById('backButton').addEventListener('click', () => {
             this.showScreen('startScreen');
         });
         
-        // Play again button
+        // Play again button (back to the level select in the campaign)
         document.getElementById('playAgainButton').addEventListener('click', () => {
-            this.showDifficultySelection();
+            this.showNextRunChoice();
         });
         
         // Try again button
         document.getElementById('tryAgainButton').addEventListener('click', () => {
-            this.showDifficultySelection();
+            this.showNextRunChoice();
+        });
+        
+        // Same maze buttons - replay the last layout to compare times
+        document.querySelectorAll('.same-maze-button').forEach(button => {
+            button.addEventListener('click', () => {
+                this.startGame(this.lastRunConfig);
+            });
+        });
+        
+        // Share buttons - copy a link that starts this exact maze
+        document.querySelectorAll('.share-button').forEach(button => {
+            button.addEventListener('click', () => {
+                this.copyShareLink(button);
+            });
+        });
+        
+        // Minimap toggle (button and M key)
+        document.getElementById('minimapButton').addEventListener('click', () => {
+            this.toggleMinimap();
+        });
+        this.controls.onAction('minimap', () => this.toggleMinimap());
+        
+        // Hint (button and H key)
+        document.getElementById('hintButton').addEventListener('click', () => {
+            this.useHint();
+        });
+        this.controls.onAction('hint', () => this.useHint());
+        
+        // Drop a flare (button and F key)
+        document.getElementById('flareButton').addEventListener('click', () => {
+            this.dropFlare();
+        });
+        this.controls.onAction('flare', () => this.dropFlare());
+        
+        // Sprint while Shift (or the gamepad's LB / RT) is held, or while the button is on
+        document.getElementById('sprintButton').addEventListener('click', () => {
+            this.toggleSprint();
+        });
+        
+        // Click or tap a remembered cell to walk there
+        this.controls.onAction('tap', (clientX, clientY) => this.travelToPoint(clientX, clientY));
+        
+        // Gamepad menu navigation (movement uses the pad directly while playing)
+        this.controls.onAction('navigate', (direction) => {
+            if (this.gameState !== 'playing') {
+                this.menu.move(direction);
+            }
+        });
+        this.controls.onAction('confirm', () => {
+            if (this.gameState !== 'playing') {
+                this.menu.activate();
+            }
+        });
+        this.controls.onAction('back', () => {
+            if (this.gameState === 'playing' || this.menu.back()) return;
+            
+            // Result screens have no back button of their own
+            if (this.gameState === 'victory' || this.gameState === 'defeat') {
+                this.showScreen('startScreen');
+            }
+        });
+        this.controls.onAction('gamepad', () => this.updateGamepadStatus());
+        this.updateGamepadStatus();
+        
+        // Replay buttons on the result screens
+        document.querySelectorAll('.watch-replay-button').forEach(button => {
+            button.addEventListener('click', () => {
+                const returnScreen = button.closest('.screen').id;
+                this.startReplay(this.recorder.getReplay(), returnScreen);
+            });
+        });
+        
+        document.querySelectorAll('.export-replay-button').forEach(button => {
+            button.addEventListener('click', () => {
+                this.exportReplay();
+            });
+        });
+        
+        // Load a replay file from the start screen
+        const replayFileInput = document.getElementById('replayFileInput');
+        document.getElementById('loadReplayButton').addEventListener('click', () => {
+            replayFileInput.click();
+        });
+        replayFileInput.addEventListener('change', () => {
+            const file = replayFileInput.files[0];
+            replayFileInput.value = '';
+            if (file) {
+                this.importReplay(file);
+            }
+        });
+        
+        // Replay viewer controls
+        document.getElementById('replayPlayButton').addEventListener('click', () => {
+            this.setReplayPaused(!this.replayPaused);
+        });
+        
+        document.getElementById('replaySpeed').addEventListener('change', (event) => {
+            this.replaySpeed = parseFloat(event.target.value);
+        });
+        
+        document.getElementById('replayScrubber').addEventListener('input', (event) => {
+            this.seekReplay(parseFloat(event.target.value));
+        });
+        
+        document.getElementById('replayExitButton').addEventListener('click', () => {
+            this.exitReplay();
+        });
+        
+        // Pause (HUD button, Escape / P, gamepad Start) and the pause menu
+        document.getElementById('pauseButton').addEventListener('click', () => {
+            this.pauseGame();
+        });
+        this.controls.onAction('pause', () => this.togglePause());
+        
+        document.getElementById('resumeButton').addEventListener('click', () => {
+            this.resumeGame();
+        });
+        
+        document.getElementById('restartButton').addEventListener('click', () => {
+            this.restartRun();
+        });
+        
+        document.getElementById('pauseSettingsButton').addEventListener('click', () => {
+            this.openSettings('pauseScreen');
+        });
+        
+        document.getElementById('quitButton').addEventListener('click', () => {
+            this.quitRun();
+        });
+        
+        // Pause automatically when the player switches away
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.pauseForFocusLoss();
+            }
+        });
+        window.addEventListener('blur', () => this.pauseForFocusLoss());
+        
+        // Settings screen
+        document.getElementById('settingsButton').addEventListener('click', () => {
+            this.openSettings('startScreen');
+        });
+        
+        document.getElementById('settingsBackButton').addEventListener('click', () => {
+            this.closeSettings();
         });
         
         // Mute button
@@ -179,6 +467,80 @@ class ShadowMazeGame {
         });
     }
     
+    /**
+     * Pause a run or replay when the tab is hidden or the window loses focus
+     */
+    pauseForFocusLoss() {
+        if (this.gameState === 'playing') {
+            this.pauseGame();
+        } else if (this.gameState === 'replay') {
+            this.setReplayPaused(true);
+        }
+    }
+    
+    /**
+     * Open the settings screen, returning to `returnScreen` when it closes
+     */
+    openSettings(returnScreen) {
+        this.settingsReturnScreen = returnScreen;
+        this.showScreen('settingsScreen');
+    }
+    
+    /**
+     * Leave the settings screen
+     */
+    closeSettings() {
+        this.settings.close();
+        this.showScreen(this.settingsReturnScreen);
+    }
+    
+    /**
+     * Pass the saved preferences on to the controls and page
+     */
+    applyPreferences() {
+        this.controls.swipeThreshold = this.preferences.get('swipeThreshold');
+        this.controls.hapticsEnabled = this.preferences.get('haptics');
+        this.controls.setDeadZone(this.preferences.get('gamepadDeadZone'));
+        document.body.classList.toggle('hide-dpad', !this.preferences.get('showDpad'));
+    }
+    
+    /**
+     * Describe the current key bindings in the HUD's controls hint
+     */
+    updateKeyboardHint() {
+        const bindings = this.controls.bindings;
+        const describe = (action) => bindings.getKeys(action).map(key => bindings.describeKey(key));
+        const [up, left, down, right] = ['up', 'left', 'down', 'right'].map(describe);
+        
+        // Group keys into sets like "WASD / ↑←↓→"
+        const moveSets = [];
+        const setCount = Math.max(up.length, left.length, down.length, right.length);
+        for (let i = 0; i < setCount; i++) {
+            moveSets.push([up[i], left[i], down[i], right[i]].map(key => key || '?').join(''));
+        }
+        
+        const parts = [`${moveSets.join(' / ') || '?'} to move`];
+        const minimap = describe('minimap');
+        if (minimap.length > 0) parts.push(`${minimap.join('/')} for map`);
+        const hint = describe('hint');
+        if (hint.length > 0) parts.push(`${hint.join('/')} for hint`);
+        const flare = describe('flare');
+        if (flare.length > 0) parts.push(`${flare.join('/')} for flare`);
+        const sprint = describe('sprint');
+        if (sprint.length > 0) parts.push(`${sprint.join('/')} to sprint`);
+        const pause = describe('pause');
+        if (pause.length > 0) parts.push(`${pause.join('/')} to pause`);
+        
+        document.getElementById('keyboardHint').textContent = parts.join(' · ');
+    }
+    
+    /**
+     * Show gamepad button hints instead of keyboard ones while a pad is connected
+     */
+    updateGamepadStatus() {
+        document.body.classList.toggle('gamepad-connected', this.controls.gamepadIndex !== null);
+    }
+    
     /**
      * Show difficulty selection screen
      */
@@ -186,6 +548,63 @@ class ShadowMazeGame {
         this.showScreen('difficultyScreen');
     }
     
+    /**
+     * Show where the next run is chosen: the level select after a campaign level,
+     * the difficulty selection otherwise
+     */
+    showNextRunChoice() {
+        if (this.campaignLevel) {
+            this.showLevelSelect();
+        } else {
+            this.showDifficultySelection();
+        }
+    }
+    
+    /**
+     * Show the campaign's levels with their stars
+     */
+    showLevelSelect() {
+        this.levelSelect.render();
+        this.showScreen('levelSelectScreen');
+    }
+    
+    /**
+     * Start a campaign level, if it has been unlocked
+     */
+    startCampaignLevel(levelId) {
+        const level = getCampaignLevel(levelId);
+        if (!level || !this.campaign.isUnlocked(levelId)) return;
+        
+        this.selectedDifficulty = level.base;
+        console.log(`Starting campaign level ${level.id}: ${level.name}`);
+        this.startGame({ level });
+    }
+    
+    /**
+     * Settings for a campaign level: its base difficulty with the level's rules and presentation
+     */
+    getLevelSettings(level) {
+        return {
+            ...this.difficultySettings[level.base],
+            ...getLevelRules(level),
+            name: `第 ${level.id} 關 / Level ${level.id}`,
+            lightRadius: level.lightRadius,
+            memoryFade: level.memoryFade,
+            minimap: level.minimap,
+            hintSteps: level.hintSteps
+        };
+    }
+    
+    /**
+     * Bring the campaign progress together with the signed-in account
+     */
+    async syncCampaign() {
+        await this.campaign.sync();
+        if (this.gameState !== 'playing') {
+            this.levelSelect.render();
+        }
+    }
+    
     /**
      * Select difficulty and start game
      */
@@ -195,27 +614,204 @@ class ShadowMazeGame {
         this.startGame();
     }
     
+    /**
+     * Start a game from a maze code typed in or shared by link
+     */
+    startFromCode(code) {
+        const config = decodeMazeCode(code);
+        const startError = document.getElementById('startError');
+        
+        if (!config) {
+            startError.textContent = 'Invalid maze code / 無效的迷宮代碼';
+            return;
+        }
+        
+        startError.textContent = '';
+        
+        // Full codes carry their own difficulty, plain seeds use the current one
+        if (config.difficulty) {
+            this.selectedDifficulty = config.difficulty;
+        }
+        
+        this.startGame(config);
+    }
+    
+    /**
+     * Fetch today's daily challenge from the server
+     */
+    async loadDailyChallenge() {
+        try {
+            this.daily = await fetchDailyChallenge();
+        } catch (error) {
+            console.warn('Daily challenge unavailable:', error);
+            this.daily = null;
+        }
+        this.updateDailyStatus();
+    }
+    
+    /**
+     * Tick the countdown to the next challenge, fetching it once the day rolls over
+     */
+    startDailyCountdown() {
+        if (this.dailyCountdownTimer) {
+            clearInterval(this.dailyCountdownTimer);
+        }
+        
+        this.dailyCountdownTimer = setInterval(() => {
+            if (this.daily && Date.now() >= Date.parse(this.daily.endsAt)) {
+                this.daily = null;
+                this.loadDailyChallenge();
+            }
+            this.updateDailyStatus();
+        }, 1000);
+    }
+    
+    /**
+     * Show the countdown and whether today's ranked attempt is used (or needs signing in)
+     */
+    updateDailyStatus() {
+        const status = document.getElementById('dailyStatus');
+        if (!this.daily) {
+            status.textContent = 'Daily challenge unavailable / 每日挑戰暫時無法使用';
+            return;
+        }
+        
+        const remaining = Math.max(0, Math.floor((Date.parse(this.daily.endsAt) - Date.now()) / 1000));
+        const hours = Math.floor(remaining / 3600);
+        const minutes = Math.floor((remaining % 3600) / 60).toString().padStart(2, '0');
+        const seconds = (remaining % 60).toString().padStart(2, '0');
+        let attemptNote = '';
+        if (!this.account?.user) {
+            attemptNote = 'Sign in for a ranked attempt · ';
+        } else if (this.daily.attempt) {
+            attemptNote = 'Ranked attempt used · ';
+        }
+        
+        status.textContent = `${attemptNote}Next challenge in ${hours}:${minutes}:${seconds}`;
+    }
+    
+    /**
+     * Start today's challenge: ranked the first time for a signed-in player, practice otherwise
+     */
+    async startDailyChallenge() {
+        const startError = document.getElementById('startError');
+        
+        if (!this.daily) {
+            await this.loadDailyChallenge();
+        }
+        if (!this.daily) {
+            startError.textContent = 'Daily challenge unavailable / 每日挑戰暫時無法使用';
+            return;
+        }
+        startError.textContent = '';
+        
+        // Claim the ranked attempt, unless it has already been used
+        let attemptId = null;
+        if (this.account.user && !this.daily.attempt) {
+            try {
+                this.daily.attempt = await startDailyAttempt();
+                attemptId = this.daily.attempt.id;
+            } catch (error) {
+                console.warn('Could not start a ranked daily attempt:', error);
+                if (error.status === 409) {
+                    this.daily.attempt = error.data.attempt;
+                }
+            }
+        }
+        this.updateDailyStatus();
+        
+        this.selectedDifficulty = this.daily.difficulty;
+        this.startGame({
+            seed: this.daily.seed,
+            width: this.daily.width,
+            height: this.daily.height,
+            algorithm: this.daily.algorithm,
+            daily: { date: this.daily.date, attemptId }
+        });
+    }
+    
+    /**
+     * Start a game from the ?seed= URL parameter, if present
+     */
+    startFromUrl() {
+        const code = new URLSearchParams(window.location.search).get('seed');
+        if (!code) return;
+        
+        document.getElementById('seedInput').value = code;
+        this.startFromCode(code);
+    }
+    
+    /**
+     * Copy a link to the current maze to the clipboard
+     */
+    async copyShareLink(button) {
+        const url = `${window.location.origin}${window.location.pathname}?seed=${encodeURIComponent(this.mazeCode)}`;
+        
+        try {
+            await navigator.clipboard.writeText(url);
+            button.textContent = 'Copied! / 已複製！';
+        } catch (error) {
+            console.warn('Clipboard write failed:', error);
+            button.textContent = url;
+        }
+    }
+    
     /**
      * Start a new game with selected difficulty
+     * Options may pin the maze: { seed, width, height }, or play a campaign level: { level }
      */
-    startGame() {
+    startGame(options = {}) {
         console.log(`Starting new game on ${this.selectedDifficulty} difficulty...`);
         
-        // Get difficulty settings
-        const difficulty = this.difficultySettings[this.selectedDifficulty];
+        // Get difficulty settings (a campaign level brings its own)
+        this.campaignLevel = options?.level || null;
+        const difficulty = this.campaignLevel
+            ? this.getLevelSettings(this.campaignLevel)
+            : this.difficultySettings[this.selectedDifficulty];
+        this.runSettings = difficulty;
         
         // Reset game state
         this.gameState = 'playing';
-        this.gameTime = difficulty.timeLimit;
         this.isMoving = false; // Reset movement state
         this.lastInputTime = 0;
         
-        // Recalculate maze size for current difficulty
-        this.resizeCanvas();
+        // Maze size comes from the difficulty unless a maze code pins it
+        this.mazeWidth = options?.width || difficulty.mazeWidth;
+        this.mazeHeight = options?.height || difficulty.mazeHeight;
         
-        // Generate new maze
-        this.maze = new MazeGenerator(this.mazeWidth, this.mazeHeight);
+        // Generate new maze (random seed unless one was given, difficulty's algorithm unless one is pinned)
+        const algorithm = options?.algorithm || difficulty.algorithm;
+        const seed = this.campaignLevel ? this.campaignLevel.seed : options?.seed;
+        this.maze = new MazeGenerator(this.mazeWidth, this.mazeHeight, seed, algorithm);
         this.maze.generate();
+        this.maze.placeItems(difficulty.lockCount, difficulty.clockCount, difficulty.oilCount);
+        console.log(`Generated ${this.mazeWidth}x${this.mazeHeight} ${algorithm} maze (seed ${this.maze.getSeed()}) with ${this.maze.locks.length} locked doors`);
+        this.mazeStats = this.maze.analyze();
+        console.log('Maze analysis:', this.mazeStats);
+        
+        // Time limit follows the real length of the route to the exit
+        this.parTime = this.calculateParTime(difficulty);
+        this.gameTime = this.calculateTimeLimit(difficulty);
+        this.timeLimit = this.gameTime;
+        
+        const mazeConfig = {
+            seed: this.maze.getSeed(),
+            width: this.mazeWidth,
+            height: this.mazeHeight
+        };
+        if (algorithm !== this.difficultySettings[this.selectedDifficulty].algorithm) {
+            mazeConfig.algorithm = algorithm;
+        }
+        
+        // A campaign level is replayed as the level, with its own rules
+        this.lastRunConfig = this.campaignLevel ? { level: this.campaignLevel } : mazeConfig;
+        
+        // Daily challenge runs are only ranked when started from the daily button
+        this.dailyRun = options?.daily || null;
+        this.mazeCode = encodeMazeCode({
+            difficulty: this.selectedDifficulty,
+            ...mazeConfig
+        });
         
         // Create player at maze start with difficulty-based properties
         const startPos = this.maze.getStartPosition();
@@ -226,20 +822,91 @@ class ShadowMazeGame {
             lightRadius: difficulty.lightRadius
         };
         
+        // Start with nothing remembered
+        this.exploration = new ExplorationMap(this.mazeWidth, this.mazeHeight, difficulty.memoryFade);
+        
+        // The lantern, the exit and the torches light the maze; flares are the player's to drop
+        this.setupLights(difficulty.torches);
+        this.flaresRemaining = difficulty.flares;
+        this.updateFlareDisplay();
+        
+        // A full lantern, burning down from the start of the run
+        this.lantern = new Lantern(difficulty);
+        this.sprintToggled = false;
+        this.updateFuelDisplay();
+        
+        // Shadow creatures, driven by the same moves, fuel and flares the run log records
+        this.playerTrack = new PlayerTrack(startPos, difficulty.moveDuration);
+        this.lightTrack = new LightTrack(difficulty, this.lantern);
+        this.enemies = new EnemySimulation(this.maze, difficulty, this.playerTrack, this.lightTrack);
+        this.exitArrivalTime = null;
+        
+        // Nothing picked up yet
+        this.inventory = new Inventory(this.maze);
+        this.updateInventoryDisplay();
+        
+        // Minimap follows the difficulty's rule
+        this.minimap.setMaze(this.maze);
+        this.setMinimapVisible(difficulty.minimap === 'always');
+        document.getElementById('minimapButton').style.display =
+            difficulty.minimap === 'toggle' ? '' : 'none';
+        
+        // Fresh hints for this run
+        this.hintsRemaining = difficulty.hintsAllowed;
+        this.hintsUsed = 0;
+        this.hintTrail = null;
+        this.updateHintDisplay();
+        
         // Set movement speed based on difficulty
         this.moveDuration = difficulty.moveDuration;
         this.isMoving = false;
         this.lastInputTime = 0;
+        this.travelRoute = null;
         
-        // Setup lighting
-        this.lighting.setup(this.canvas.width, this.canvas.height);
+        // Point the camera at the player
+        this.camera.setWorld(this.mazeWidth * this.cellSize, this.mazeHeight * this.cellSize);
+        this.camera.snapTo(this.player);
         
         // Update difficulty display
-        document.getElementById('difficultyDisplay').textContent = difficulty.name;
+        document.getElementById('difficultyDisplay').textContent =
+            this.dailyRun ? `每日 / Daily · ${difficulty.name}` : difficulty.name;
+        document.getElementById('seedDisplay').textContent = this.mazeCode;
+        document.getElementById('parDisplay').textContent = `Par ${this.parTime.toFixed(1)}s`;
+        document.querySelectorAll('.share-button').forEach(button => {
+            button.textContent = 'Copy Link / 複製連結';
+        });
         
         // Start game timer
+        this.pausedTime = 0;
+        this.timerSeconds = 0;
+        this.runStartTime = this.getClock();
         this.startTimer();
         
+        // Record the run so it can be replayed
+        this.recorder.start(this.maze, this.mazeCode, {
+            difficulty: this.selectedDifficulty,
+            lightRadius: difficulty.lightRadius,
+            moveDuration: difficulty.moveDuration,
+            timeLimit: this.gameTime,
+            hintTimeCost: difficulty.hintTimeCost,
+            hintSteps: difficulty.hintSteps,
+            memoryFade: difficulty.memoryFade,
+            enemyCount: difficulty.enemyCount,
+            enemyPatrolStep: difficulty.enemyPatrolStep,
+            enemyChaseStep: difficulty.enemyChaseStep,
+            enemySightRange: difficulty.enemySightRange,
+            enemyLightRange: difficulty.enemyLightRange,
+            enemyEmberRange: difficulty.enemyEmberRange,
+            clockBonus: difficulty.clockBonus,
+            torches: difficulty.torches,
+            flares: difficulty.flares,
+            emberRadius: difficulty.emberRadius,
+            fuelCapacity: difficulty.fuelCapacity,
+            oilRefill: difficulty.oilRefill,
+            sprintSpeed: difficulty.sprintSpeed,
+            sprintFuelCost: difficulty.sprintFuelCost
+        }, this.runStartTime);
+        
         // Show game HUD
         this.showScreen('gameHUD');
         
@@ -253,23 +920,363 @@ class ShadowMazeGame {
     }
     
     /**
-     * Start the countdown timer
+     * Calculate the par time: walking the shortest route at full speed
+     */
+    calculateParTime(difficulty) {
+        return calculateParTime(this.mazeStats.solutionLength, difficulty.moveDuration);
+    }
+    
+    /**
+     * Calculate the time limit from the par time and the difficulty's slack
+     */
+    calculateTimeLimit(difficulty) {
+        return calculateTimeLimit(this.parTime, difficulty);
+    }
+    
+    /**
+     * Toggle the minimap, if the difficulty (or level) allows it
+     */
+    toggleMinimap() {
+        if (this.gameState !== 'playing') return;
+        
+        const difficulty = this.runSettings;
+        if (difficulty.minimap !== 'toggle') return;
+        
+        this.setMinimapVisible(!this.minimapVisible);
+    }
+    
+    /**
+     * Show or hide the minimap panel
+     */
+    setMinimapVisible(visible) {
+        this.minimapVisible = visible;
+        document.getElementById('minimapPanel').classList.toggle('hidden', !visible);
+        document.getElementById('minimapButton').classList.toggle('active', visible);
+    }
+    
+    /**
+     * Show the next steps of the shortest route to the exit, at a time cost
+     */
+    useHint() {
+        if (this.gameState !== 'playing' || this.hintsRemaining <= 0) return;
+        
+        const difficulty = this.runSettings;
+        
+        // Route from the cell the player is in (or heading to)
+        const position = this.isMoving ? this.moveTargetPos : this.player;
+        const from = {
+            x: Math.floor(position.x / this.cellSize),
+            y: Math.floor(position.y / this.cellSize)
+        };
+        const time = this.getClock();
+        if (!this.showHintTrail(from, difficulty.hintSteps, time, this.inventory.keys)) return;
+        
+        this.recorder.recordHint(time);
+        this.hintsRemaining--;
+        this.hintsUsed++;
+        this.updateHintDisplay();
+        
+        // Hints cost time
+        this.gameTime = Math.max(0, this.gameTime - difficulty.hintTimeCost);
+        this.updateTimerDisplay();
+        this.audio.playSound('hit', 0.3);
+        
+        console.log(`Hint used (${this.hintsRemaining} left)`);
+        
+        if (this.gameTime <= 0) {
+            this.endGame(false);
+        }
+    }
+    
+    /**
+     * Show the breadcrumb trail for the next steps from a cell toward the exit,
+     * by way of any keys still needed for the doors in between
+     * Returns false when there is no route to show
+     */
+    showHintTrail(from, steps, time, keys) {
+        const route = this.maze.findRouteToExit(from, keys);
+        if (!route || route.length < 2) return false;
+        
+        this.hintTrail = {
+            cells: route.slice(1, steps + 1),
+            shownAt: time
+        };
+        return true;
+    }
+    
+    /**
+     * Light a new maze: the player's lantern, the glowing exit and `torchCount` wall torches
+     * Flares dropped on the last maze go out
+     */
+    setupLights(torchCount) {
+        this.lighting.setMaze(this.maze);
+        
+        this.playerLight = this.lighting.addLight({
+            follow: this.player,
+            radius: this.player.lightRadius,
+            color: '#ff6b35',
+            flicker: 0.1
+        });
+        
+        const exitPos = this.maze.getExitPosition();
+        this.lighting.addLight({
+            x: (exitPos.x + 0.5) * this.cellSize,
+            y: (exitPos.y + 0.5) * this.cellSize,
+            radius: this.cellSize * 2.5,
+            color: '#4ade80',
+            intensity: 0.8,
+            flicker: 0.2
+        });
+        
+        // Torches hang on the wall, so their light starts at the wall's face
+        this.torches = chooseTorchSpots(this.maze, torchCount).map(spot => ({
+            spot,
+            light: this.lighting.addLight({
+                x: (spot.x + 0.5 + spot.side.x * 0.35) * this.cellSize,
+                y: (spot.y + 0.5 + spot.side.y * 0.35) * this.cellSize,
+                radius: this.cellSize * 3.5,
+                color: '#ffb347',
+                intensity: 0.9,
+                flicker: 0.6
+            })
+        }));
+        
+        this.flares = [];
+        this.flareLights = [];
+    }
+    
+    /**
+     * Drop a flare in the player's cell; it lights the corridors around it until it burns out
+     */
+    dropFlare() {
+        if (this.gameState !== 'playing' || this.flaresRemaining <= 0) return;
+        
+        // Dropped in the cell the player is in (or heading to)
+        const position = this.isMoving ? this.moveTargetPos : this.player;
+        const cell = {
+            x: Math.floor(position.x / this.cellSize),
+            y: Math.floor(position.y / this.cellSize)
+        };
+        const time = this.getClock();
+        
+        this.recorder.recordFlare(time);
+        this.flares.push({ time: time - this.runStartTime, cell });
+        this.lightTrack.addFlare(Math.round(time - this.runStartTime), cell); // logged to the ms
+        this.flaresRemaining--;
+        this.updateFlareDisplay();
+        this.audio.playSound('hit', 0.2);
+        
+        console.log(`Flare dropped at (${cell.x}, ${cell.y}) (${this.flaresRemaining} left)`);
+    }
+    
+    /**
+     * Keep a light burning for each flare alight at a time (ms into the run),
+     * so seeking a replay back and forth relights or puts out its flares
+     */
+    updateFlareLights(drops, time) {
+        drops.forEach((drop, index) => {
+            const lit = time >= drop.time && time < drop.time + this.flareDuration;
+            const light = this.flareLights[index];
+            
+            if (lit && !light) {
+                this.flareLights[index] = this.lighting.addLight({
+                    x: (drop.cell.x + 0.5) * this.cellSize,
+                    y: (drop.cell.y + 0.5) * this.cellSize,
+                    radius: this.cellSize * FLARE_LIGHT_RANGE,
+                    color: '#ff4d4d',
+                    flicker: 0.5,
+                    expiresAt: drop.time + this.flareDuration,
+                    fadeTime: 4000
+                });
+            } else if (!lit && light) {
+                this.lighting.removeLight(light);
+                this.flareLights[index] = null;
+            }
+        });
+    }
+    
+    /**
+     * Update the flare button with the number of flares left (hidden when there are none to drop)
+     */
+    updateFlareDisplay() {
+        const flareButton = document.getElementById('flareButton');
+        flareButton.textContent = `🔥${this.flaresRemaining}`;
+        flareButton.disabled = this.flaresRemaining <= 0;
+        flareButton.style.display = this.runSettings.flares > 0 ? '' : 'none';
+    }
+    
+    /**
+     * Switch sprinting on or off from the HUD button (for touch screens, where there is no key to hold)
+     */
+    toggleSprint() {
+        if (this.gameState !== 'playing') return;
+        
+        this.sprintToggled = !this.sprintToggled;
+        this.updateFuelDisplay();
+    }
+    
+    /**
+     * Check the player wants the next move to be a sprint
+     */
+    wantsToSprint() {
+        return this.sprintToggled || this.controls.isPressed('sprint');
+    }
+    
+    /**
+     * Shrink the lantern's light from its full radius toward an ember as its fuel runs down
+     * Whole pixels, so the light's rays are only re-cast when the radius really changes
+     */
+    setLanternLevel(level, settings) {
+        const ember = Math.min(settings.emberRadius, settings.lightRadius);
+        this.player.lightRadius = Math.round(ember + (settings.lightRadius - ember) * level);
+        this.playerLight.radius = this.player.lightRadius;
+    }
+    
+    /**
+     * Update the fuel meter and sprint button (both hidden when the lantern never runs down)
+     */
+    updateFuelDisplay() {
+        const meter = document.getElementById('fuelMeter');
+        const sprintButton = document.getElementById('sprintButton');
+        const usesFuel = this.lantern.usesFuel;
+        meter.classList.toggle('hidden', !usesFuel);
+        sprintButton.style.display = usesFuel ? '' : 'none';
+        if (!usesFuel) return;
+        
+        const level = this.lantern.level;
+        document.getElementById('fuelLevel').style.width = `${(level * 100).toFixed(1)}%`;
+        meter.classList.toggle('low', level > 0 && level < 0.25);
+        meter.classList.toggle('empty', level <= 0);
+        meter.title = `Lantern fuel / 燈油: ${Math.ceil(this.lantern.fuel)}s`;
+        sprintButton.classList.toggle('active', this.sprintToggled);
+        sprintButton.disabled = level <= 0;
+    }
+    
+    /**
+     * Update the hint button with the number of hints left
+     */
+    updateHintDisplay() {
+        const hintButton = document.getElementById('hintButton');
+        hintButton.textContent = `💡${this.hintsRemaining}`;
+        hintButton.disabled = this.hintsRemaining <= 0;
+    }
+    
+    /**
+     * Start the countdown timer
+     */
+    startTimer() {
+        if (this.gameTimer) {
+            clearInterval(this.gameTimer);
+        }
+        
+        this.updateTimerDisplay();
+        
+        // Take off each whole second of run time as it passes, so a pause
+        // part-way through a second doesn't lose or gain time
+        this.gameTimer = setInterval(() => {
+            const seconds = Math.floor((this.getClock() - this.runStartTime) / 1000);
+            if (seconds <= this.timerSeconds) return;
+            
+            this.gameTime = Math.max(0, this.gameTime - (seconds - this.timerSeconds));
+            this.timerSeconds = seconds;
+            this.updateTimerDisplay();
+            
+            if (this.gameTime <= 0) {
+                this.endGame(false);
+            }
+        }, 100);
+    }
+    
+    /**
+     * Pause a run: freezes the loop, countdown, audio and input until resumed
+     */
+    pauseGame() {
+        if (this.gameState !== 'playing') return;
+        
+        this.pausedAt = Date.now();
+        this.gameState = 'paused';
+        if (this.gameTimer) {
+            clearInterval(this.gameTimer);
+        }
+        this.controls.reset();
+        this.audio.pause();
+        
+        document.getElementById('pauseNote').textContent = this.dailyRun?.attemptId
+            ? 'Restarting or quitting ends your ranked daily attempt / 重新開始或離開將結束本日排名挑戰'
+            : '';
+        this.showScreen('pauseScreen');
+        console.log('Game paused');
+    }
+    
+    /**
+     * Carry on from where the run was paused
+     */
+    resumeGame() {
+        if (this.gameState !== 'paused') return;
+        
+        this.settings.close();
+        this.pausedTime += Date.now() - this.pausedAt;
+        this.gameState = 'playing';
+        this.controls.reset();
+        this.audio.resume();
+        this.showScreen('gameHUD');
+        this.startTimer();
+        this.startGameLoop();
+        console.log('Game resumed');
+    }
+    
+    /**
+     * Pause or resume (Escape / P / Start); in replays, pause or play the replay
+     */
+    togglePause() {
+        if (this.gameState === 'playing') {
+            this.pauseGame();
+        } else if (this.gameState === 'paused') {
+            this.resumeGame();
+        } else if (this.gameState === 'replay') {
+            this.setReplayPaused(!this.replayPaused);
+        }
+    }
+    
+    /**
+     * Give up a paused run; a ranked daily attempt counts as lost
+     */
+    abandonRun() {
+        this.audio.resume();
+        if (!this.dailyRun?.attemptId) return;
+        
+        const { attemptId } = this.dailyRun;
+        const elapsed = (this.getClock() - this.runStartTime) / 1000;
+        this.dailyRun = null;
+        submitDailyResult(attemptId, { victory: false, elapsed, hintsUsed: this.hintsUsed })
+            .then(attempt => {
+                if (this.daily && this.daily.date === attempt.date) {
+                    this.daily.attempt = attempt;
+                    this.updateDailyStatus();
+                }
+            })
+            .catch(error => console.warn('Could not submit daily result:', error));
+    }
+    
+    /**
+     * Start the paused maze again from the beginning
      */
-    startTimer() {
-        if (this.gameTimer) {
-            clearInterval(this.gameTimer);
-        }
+    restartRun() {
+        if (this.gameState !== 'paused') return;
         
-        this.updateTimerDisplay();
+        this.abandonRun();
+        this.startGame(this.lastRunConfig);
+    }
+    
+    /**
+     * Leave the paused run for the start screen
+     */
+    quitRun() {
+        if (this.gameState !== 'paused') return;
         
-        this.gameTimer = setInterval(() => {
-            this.gameTime--;
-            this.updateTimerDisplay();
-            
-            if (this.gameTime <= 0) {
-                this.endGame(false);
-            }
-        }, 1000);
+        this.abandonRun();
+        this.gameState = 'start';
+        this.showScreen('startScreen');
     }
     
     /**
@@ -293,8 +1300,10 @@ class ShadowMazeGame {
      * Start the main game loop
      */
     startGameLoop() {
+        this.lastFrameTime = performance.now();
+        
         const gameLoop = (currentTime) => {
-            if (this.gameState !== 'playing') return;
+            if (this.gameState !== 'playing' && this.gameState !== 'replay') return;
             
             // Throttle to target FPS
             if (currentTime - this.lastFrameTime >= this.frameInterval) {
@@ -314,11 +1323,33 @@ class ShadowMazeGame {
      * Update game logic
      */
     update(deltaTime) {
+        if (this.gameState === 'replay') {
+            this.updateReplay(deltaTime);
+            return;
+        }
+        
         if (this.gameState !== 'playing') return;
         
         // Handle player movement
         this.updatePlayer(deltaTime);
         
+        // Move the shadow creatures; being caught ends the run
+        if (this.updateEnemies()) return;
+        
+        // Keep the player in view
+        this.camera.follow(this.player, deltaTime);
+        
+        // The lantern burns down as the run goes on, its light shrinking with it
+        const runTime = this.getRunTime();
+        this.lantern.burnTo(runTime);
+        this.setLanternLevel(this.lantern.level, this.runSettings);
+        this.updateFuelDisplay();
+        
+        // Work out what the lights reach; only what the lantern shows is remembered
+        this.updateFlareLights(this.flares, runTime);
+        this.lighting.update(runTime, this.cellSize);
+        this.exploration.update(this.playerLight.visibility.cellList, this.getClock());
+        
         // Check win condition
         this.checkWinCondition();
     }
@@ -327,7 +1358,12 @@ class ShadowMazeGame {
      * Update player position with smooth interpolated movement
      */
     updatePlayer(deltaTime) {
-        const currentTime = Date.now();
+        const currentTime = this.getClock();
+        
+        // Any directional input takes over from a clicked route
+        if (this.travelRoute && this.controls.isMoving()) {
+            this.travelRoute = null;
+        }
         
         // Handle smooth movement interpolation
         if (this.isMoving) {
@@ -335,9 +1371,7 @@ class ShadowMazeGame {
             const progress = Math.min(elapsed / this.moveDuration, 1);
             
             // Use smooth easeInOut for very fluid movement
-            const easeProgress = progress < 0.5 
-                ? 2 * progress * progress 
-                : 1 - Math.pow(-2 * progress + 2, 2) / 2;
+            const easeProgress = easeMove(progress);
             
             // Interpolate position
             this.player.x = this.moveStartPos.x + (this.moveTargetPos.x - this.moveStartPos.x) * easeProgress;
@@ -361,91 +1395,234 @@ class ShadowMazeGame {
         let targetX = this.player.x;
         let targetY = this.player.y;
         let hasNewMove = false;
+        let direction = null;
         
         // Get input from controls - move one grid cell at a time
         if (this.controls.isPressed('up')) {
             targetY = this.player.y - this.cellSize;
+            direction = 'up';
             if (this.canMoveTo(this.player.x, targetY)) {
                 hasNewMove = true;
             }
         }
         else if (this.controls.isPressed('down')) {
             targetY = this.player.y + this.cellSize;
+            direction = 'down';
             if (this.canMoveTo(this.player.x, targetY)) {
                 hasNewMove = true;
             }
         }
         else if (this.controls.isPressed('left')) {
             targetX = this.player.x - this.cellSize;
+            direction = 'left';
             if (this.canMoveTo(targetX, this.player.y)) {
                 hasNewMove = true;
             }
         }
         else if (this.controls.isPressed('right')) {
             targetX = this.player.x + this.cellSize;
+            direction = 'right';
             if (this.canMoveTo(targetX, this.player.y)) {
                 hasNewMove = true;
             }
         }
+        else if (this.travelRoute) {
+            // Next step of a clicked route
+            const next = this.travelRoute.shift();
+            const dx = next.x - Math.floor(this.player.x / this.cellSize);
+            const dy = next.y - Math.floor(this.player.y / this.cellSize);
+            direction = Object.keys(DIRECTION_OFFSETS).find(name =>
+                DIRECTION_OFFSETS[name].x === dx && DIRECTION_OFFSETS[name].y === dy);
+            targetX = this.player.x + dx * this.cellSize;
+            targetY = this.player.y + dy * this.cellSize;
+            if (direction && this.canMoveTo(targetX, targetY)) {
+                hasNewMove = true;
+            }
+            if (!hasNewMove || this.travelRoute.length === 0) {
+                this.travelRoute = null;
+            }
+        }
+        
+        // A swipe is a single step, whether or not it could be taken
+        this.controls.consumeSwipe();
         
         // Start new movement
         if (hasNewMove) {
+            // Sprinting is quicker but burns fuel, and needs some left to burn
+            const moveTime = Math.round(currentTime - this.runStartTime);
+            const sprinting = this.wantsToSprint() && this.lantern.canSprint(moveTime);
+            const code = (sprinting ? SPRINT_CODES : DIRECTION_CODES)[direction];
+            this.moveDuration = getMoveDuration(code, this.runSettings.moveDuration, this.runSettings.sprintSpeed);
+            
             this.moveStartPos = { x: this.player.x, y: this.player.y };
             this.moveTargetPos = { x: targetX, y: targetY };
             this.moveStartTime = currentTime;
             this.lastInputTime = currentTime;
             this.isMoving = true;
             
+            // Record the move for replays
+            this.recorder.recordMove(direction, currentTime, sprinting);
+            if (sprinting) {
+                this.lantern.sprint(moveTime);
+            }
+            
+            // The creatures see the move with the same timing as the log
+            const cell = { x: Math.floor(targetX / this.cellSize), y: Math.floor(targetY / this.cellSize) };
+            this.playerTrack.addMove(moveTime, cell, this.moveDuration);
+            this.collectItem(cell, moveTime);
+            const exitPos = this.maze.getExitPosition();
+            if (cell.x === exitPos.x && cell.y === exitPos.y) {
+                this.exitArrivalTime = moveTime + this.moveDuration * EXIT_REACH_PROGRESS;
+            }
+            
             // Play movement sound
             this.audio.playSound('hit', 0.15);
         }
     }
     
     /**
-     * Check if player can move to position
+     * Walk to the cell under a click or tap (client coordinates), if the player
+     * remembers it and can get there through remembered cells
+     */
+    travelToPoint(clientX, clientY) {
+        if (this.gameState !== 'playing') return;
+        
+        // Client position -> canvas pixels -> world -> cell
+        const rect = this.canvas.getBoundingClientRect();
+        const world = this.camera.screenToWorld(
+            (clientX - rect.left) * (this.canvas.width / rect.width),
+            (clientY - rect.top) * (this.canvas.height / rect.height)
+        );
+        const target = {
+            x: Math.floor(world.x / this.cellSize),
+            y: Math.floor(world.y / this.cellSize)
+        };
+        
+        // Plan from the cell the player is in (or heading to)
+        const position = this.isMoving ? this.moveTargetPos : this.player;
+        const from = {
+            x: Math.floor(position.x / this.cellSize),
+            y: Math.floor(position.y / this.cellSize)
+        };
+        
+        const time = this.getClock();
+        const route = findPathBFS(this.mazeWidth, this.mazeHeight,
+            (x, y) => canMoveTo(this.maze, x, y, this.inventory.keys) && this.exploration.isRemembered(x, y, time),
+            from, target);
+        if (!route || route.length < 2) {
+            console.log(`Can't travel to (${target.x}, ${target.y})`);
+            return;
+        }
+        
+        this.travelRoute = route.slice(1);
+        console.log(`Travelling ${this.travelRoute.length} steps to (${target.x}, ${target.y})`);
+    }
+    
+    /**
+     * Check if the player can move to a world position
+     * Uses the shared cell rule so the server's run checks agree with the game
      */
     canMoveTo(x, y) {
-        const margin = this.player.radius;
-        
-        // Check bounds
-        if (x - margin < 0 || x + margin > this.canvas.width ||
-            y - margin < 0 || y + margin > this.canvas.height) {
-            return false;
-        }
-        
-        // Check collision with maze walls
-        const cellX = Math.floor(x / this.cellSize);
-        const cellY = Math.floor(y / this.cellSize);
-        
-        // Check the cell the player is in and surrounding cells
-        for (let dx = -1; dx <= 1; dx++) {
-            for (let dy = -1; dy <= 1; dy++) {
-                const checkX = cellX + dx;
-                const checkY = cellY + dy;
-                
-                if (this.maze && this.maze.isWall(checkX, checkY)) {
-                    // Check circular collision with wall
-                    const wallLeft = checkX * this.cellSize;
-                    const wallRight = wallLeft + this.cellSize;
-                    const wallTop = checkY * this.cellSize;
-                    const wallBottom = wallTop + this.cellSize;
-                    
-                    // Find closest point on wall to player
-                    const closestX = Math.max(wallLeft, Math.min(x, wallRight));
-                    const closestY = Math.max(wallTop, Math.min(y, wallBottom));
-                    
-                    // Check distance
-                    const distance = Math.sqrt((x - closestX) ** 2 + (y - closestY) ** 2);
-                    if (distance < margin) {
-                        return false;
-                    }
-                }
-            }
+        if (!this.maze) return false;
+        return canMoveTo(this.maze, Math.floor(x / this.cellSize), Math.floor(y / this.cellSize), this.inventory.keys);
+    }
+    
+    /**
+     * Pick up the key, clock or oil in a cell the player starts stepping into at a run time
+     */
+    collectItem(cell, time) {
+        const pickup = this.inventory.collect(cell.x, cell.y);
+        if (!pickup) return;
+        
+        if (pickup.kind === 'key') {
+            console.log(`Picked up key ${pickup.lock + 1}`);
+            this.audio.playSound('success', 0.4);
+        } else if (pickup.kind === 'oil') {
+            this.lantern.refill(time);
+            this.updateFuelDisplay();
+            console.log(`Oil picked up: ${Math.ceil(this.lantern.fuel)}s of fuel`);
+            this.audio.playSound('success', 0.25);
+        } else {
+            const bonus = this.runSettings.clockBonus;
+            this.gameTime += bonus;
+            this.updateTimerDisplay();
+            this.showTimeBonus(bonus);
+            console.log(`Clock picked up: +${bonus}s`);
+            this.audio.playSound('success', 0.25);
+        }
+        this.updateInventoryDisplay();
+    }
+    
+    /**
+     * Show the keys held (in their lock colours), the clocks and oil found in the HUD
+     */
+    updateInventoryDisplay() {
+        const display = document.getElementById('inventoryDisplay');
+        display.innerHTML = '';
+        
+        this.maze.locks.forEach((lock, index) => {
+            const key = document.createElement('span');
+            key.className = 'inventory-key';
+            key.classList.toggle('held', this.inventory.keys.has(index));
+            key.style.borderColor = getLockColor(index);
+            key.textContent = '🔑';
+            key.title = this.inventory.keys.has(index) ? 'Key held / 已取得鑰匙' : 'Key not found yet / 尚未找到鑰匙';
+            display.appendChild(key);
+        });
+        
+        const clockTotal = this.maze.getGrid().flat().filter(cell => cell === CELL.CLOCK).length;
+        if (clockTotal > 0) {
+            const clocks = document.createElement('span');
+            clocks.className = 'inventory-clocks';
+            clocks.textContent = `⏱ ${this.inventory.clocks.size}/${clockTotal}`;
+            display.appendChild(clocks);
+        }
+        
+        const oilTotal = this.maze.getGrid().flat().filter(cell => cell === CELL.OIL).length;
+        if (oilTotal > 0) {
+            const oil = document.createElement('span');
+            oil.className = 'inventory-oil';
+            oil.textContent = `🛢 ${this.inventory.oil.size}/${oilTotal}`;
+            display.appendChild(oil);
         }
         
+        display.classList.toggle('hidden', display.childElementCount === 0);
+    }
+    
+    /**
+     * Flash the seconds a clock added next to the countdown
+     */
+    showTimeBonus(seconds) {
+        const bonus = document.getElementById('timeBonus');
+        bonus.textContent = `+${seconds}s`;
+        
+        // Restart the animation if it is still running from the last clock
+        bonus.classList.remove('show');
+        void bonus.offsetWidth;
+        bonus.classList.add('show');
+    }
+    
+    /**
+     * Run the shadow creatures up to now (or to the moment the player reaches the exit)
+     * Returns true if one of them caught the player
+     */
+    updateEnemies() {
+        const runTime = this.getClock() - this.runStartTime;
+        const until = this.exitArrivalTime === null ? runTime : Math.min(runTime, this.exitArrivalTime);
+        if (!this.enemies.advance(until)) return false;
+        
+        console.log(`Caught by a shadow creature at ${(this.enemies.caught.time / 1000).toFixed(2)}s`);
+        this.endGame(false, 'caught');
         return true;
     }
     
+    /**
+     * Time into the run in ms: the run clock in play, the replay clock in replays
+     */
+    getRunTime() {
+        return this.gameState === 'replay' ? this.replayTime : this.getClock() - this.runStartTime;
+    }
+    
     /**
      * Check if player reached the exit
      */
@@ -467,9 +1644,9 @@ class ShadowMazeGame {
     }
     
     /**
-     * End the game
+     * End the game ('time' or 'caught' says how a lost run ended)
      */
-    endGame(victory) {
+    endGame(victory, cause = 'time') {
         console.log('Game ended:', victory ? 'Victory!' : 'Defeat!');
         
         this.gameState = victory ? 'victory' : 'defeat';
@@ -479,17 +1656,346 @@ class ShadowMazeGame {
             clearInterval(this.gameTimer);
         }
         
+        // Record the outcome of the run
+        this.runResult = {
+            victory,
+            difficulty: this.selectedDifficulty,
+            mazeCode: this.mazeCode,
+            seed: this.maze.getSeed(),
+            elapsed: (this.getClock() - this.runStartTime) / 1000,
+            timeRemaining: this.gameTime,
+            parTime: this.parTime,
+            hintsUsed: this.hintsUsed
+        };
+        this.recorder.finish(this.runResult);
+        const dailyResult = this.finishDailyRun();
+        
+        // Show the maze code so the run can be shared or reproduced
+        document.querySelectorAll('.result-seed').forEach(element => {
+            element.textContent = `Maze code: ${this.mazeCode}`;
+        });
+        document.querySelectorAll('.result-hints').forEach(element => {
+            element.textContent = `Hints used: ${this.hintsUsed}`;
+        });
+        
+        // Stars and the next level only follow a won campaign level
+        document.getElementById('victoryStars').textContent = '';
+        document.getElementById('nextLevelButton').classList.add('hidden');
+        
         // Play appropriate sound
         if (victory) {
             this.audio.playSound('success');
             document.getElementById('victoryTime').textContent = `Time remaining: ${this.gameTime} seconds`;
+            document.getElementById('victoryPar').textContent =
+                `Your time: ${this.runResult.elapsed.toFixed(1)}s · Par: ${this.parTime.toFixed(1)}s`;
+            if (this.campaignLevel) {
+                this.finishCampaignRun();
+            } else {
+                this.submitRunScore(dailyResult);
+            }
             this.showScreen('victoryScreen');
         } else {
             this.audio.playSound('hit', 0.5);
+            const caught = cause === 'caught';
+            document.querySelector('#gameOverScreen .defeat-title').textContent =
+                caught ? '👁 Caught! 被抓住了！' : "⏰ Time's Up! 時間到！";
+            document.querySelector('#gameOverScreen .defeat-text').textContent =
+                caught ? 'A shadow creature found you in the dark' : "You couldn't find the exit in time";
             this.showScreen('gameOverScreen');
         }
     }
     
+    /**
+     * Report a ranked daily run to the server and note on the result screens how it counted
+     * Returns the pending report (null for other runs), which resolves to { attempt, score, ranks }
+     */
+    finishDailyRun() {
+        let note = '';
+        if (this.dailyRun) {
+            if (this.dailyRun.attemptId) {
+                note = 'Daily challenge · ranked attempt / 每日挑戰 · 排名成績';
+            } else if (this.account.user) {
+                note = 'Daily challenge · practice, ranked attempt already used / 每日挑戰 · 練習';
+            } else {
+                note = 'Daily challenge · practice, sign in for a ranked attempt / 每日挑戰 · 練習，登入以進行排名挑戰';
+            }
+        }
+        document.querySelectorAll('.result-daily').forEach(element => {
+            element.textContent = note;
+        });
+        
+        if (!this.dailyRun?.attemptId) return null;
+        
+        const events = this.recorder.getReplay().events;
+        const result = submitDailyResult(this.dailyRun.attemptId, { ...this.runResult, events });
+        result
+            .then(({ attempt }) => {
+                if (this.daily && this.daily.date === attempt.date) {
+                    this.daily.attempt = attempt;
+                }
+            })
+            .catch(error => console.warn('Could not submit daily result:', error));
+        return result;
+    }
+    
+    /**
+     * Rate a won campaign level, save its stars and offer the next level
+     * Campaign runs don't go to the leaderboards; they are saved to the account instead
+     */
+    async finishCampaignRun() {
+        const level = this.campaignLevel;
+        const run = this.runResult;
+        const stars = calculateStars(level, run.timeRemaining, this.timeLimit);
+        const improved = this.campaign.record(level.id, {
+            stars,
+            elapsed: run.elapsed,
+            hintsUsed: run.hintsUsed,
+            events: this.recorder.getReplay().events
+        });
+        console.log(`Level ${level.id} won with ${stars} star(s)`);
+        
+        document.getElementById('victoryStars').textContent = formatStars(stars);
+        document.getElementById('nextLevelButton').classList.toggle('hidden', !getCampaignLevel(level.id + 1));
+        
+        const status = document.getElementById('victoryRank');
+        if (!improved) {
+            status.textContent = `Best: ${formatStars(this.campaign.getStars(level.id))}`;
+            return;
+        }
+        if (!this.account.user) {
+            status.textContent = 'Saved on this device · sign in to keep it / 已存於此裝置 · 登入以保存至帳號';
+            return;
+        }
+        
+        status.textContent = 'Saving progress… / 儲存進度中…';
+        const rejected = await this.campaign.sync();
+        
+        // Another run may have ended while the progress was in flight
+        if (this.runResult !== run) return;
+        if (rejected.has(level.id)) {
+            status.textContent = 'Run rejected by the server / 成績未被接受';
+        } else if (this.campaign.hasPending(level.id)) {
+            status.textContent = 'Saved on this device only / 僅存於此裝置';
+        } else {
+            status.textContent = 'Saved to your account / 已保存至帳號';
+        }
+    }
+    
+    /**
+     * Submit a won run to the leaderboards and show where it placed
+     * A ranked daily win is entered by its attempt's result (`dailyResult`) instead;
+     * daily practice runs and mazes with a custom size or algorithm are not submitted
+     */
+    async submitRunScore(dailyResult) {
+        const rankDisplay = document.getElementById('victoryRank');
+        const run = this.runResult;
+        
+        if (this.dailyRun && !this.dailyRun.attemptId) {
+            rankDisplay.textContent = '';
+            return;
+        }
+        if (!this.dailyRun && !isStandardMaze(decodeMazeCode(run.mazeCode))) {
+            rankDisplay.textContent = 'Custom maze · not ranked / 自訂迷宮 · 不計排名';
+            return;
+        }
+        
+        rankDisplay.textContent = 'Submitting score… / 提交成績中…';
+        try {
+            const { ranks } = await (dailyResult || submitScore({ ...run, events: this.recorder.getReplay().events }));
+            
+            // Another run may have started while the score was in flight
+            if (this.runResult !== run) return;
+            
+            const difficultyName = this.difficultySettings[run.difficulty].name;
+            rankDisplay.textContent =
+                `Rank #${ranks.difficulty.rank} of ${ranks.difficulty.total} on ${difficultyName}` +
+                ` · #${ranks.maze.rank} of ${ranks.maze.total} on this maze`;
+        } catch (error) {
+            console.warn('Score submission failed:', error);
+            if (this.runResult === run) {
+                rankDisplay.textContent = error.status === 422
+                    ? `Score rejected / 成績未被接受: ${error.message}`
+                    : 'Score not submitted / 成績未能提交';
+            }
+        }
+    }
+    
+    /**
+     * Play back a recorded run in the replay viewer
+     */
+    startReplay(replay, returnScreen = 'startScreen') {
+        const error = validateReplay(replay);
+        if (error) {
+            document.getElementById('startError').textContent = error;
+            return;
+        }
+        replay = migrateReplay(replay);
+        
+        console.log(`Starting replay of ${replay.maze.code}`);
+        
+        const settings = replay.settings;
+        this.maze = createMazeFromReplay(replay);
+        this.mazeWidth = this.maze.width;
+        this.mazeHeight = this.maze.height;
+        this.replayPlayer = new ReplayPlayer(replay, this.maze);
+        this.inventory = this.replayPlayer.getInventoryAt(0);
+        this.replayReturnScreen = returnScreen;
+        this.replayReturnState = this.gameState;
+        
+        const startPos = this.maze.getStartPosition();
+        this.player = {
+            x: startPos.x * this.cellSize + this.cellSize / 2,
+            y: startPos.y * this.cellSize + this.cellSize / 2,
+            radius: 8,
+            lightRadius: settings.lightRadius
+        };
+        this.exploration = new ExplorationMap(this.mazeWidth, this.mazeHeight, settings.memoryFade);
+        this.setupLights(settings.torches);
+        this.hintTrail = null;
+        this.setMinimapVisible(false);
+        
+        this.camera.setWorld(this.mazeWidth * this.cellSize, this.mazeHeight * this.cellSize);
+        this.camera.snapTo(this.player);
+        
+        // Playback state
+        this.replayTime = 0;
+        this.setReplayPaused(false);
+        document.getElementById('replayScrubber').max = this.replayPlayer.duration;
+        document.getElementById('replayInfo').textContent = replay.maze.code;
+        
+        this.gameState = 'replay';
+        this.showScreen('replayHUD');
+        this.startGameLoop();
+    }
+    
+    /**
+     * Advance replay playback and rebuild the player's state
+     */
+    updateReplay(deltaTime) {
+        const previousTime = this.replayTime;
+        const duration = this.replayPlayer.duration;
+        
+        if (!this.replayPaused) {
+            this.replayTime = Math.min(this.replayTime + deltaTime * 1000 * this.replaySpeed, duration);
+            if (this.replayTime >= duration) {
+                this.setReplayPaused(true);
+            }
+        }
+        
+        // Show hints used in this stretch of the run
+        const settings = this.replayPlayer.replay.settings;
+        for (const hint of this.replayPlayer.getHintsBetween(previousTime, this.replayTime)) {
+            this.showHintTrail(hint.from, settings.hintSteps, hint.time, this.replayPlayer.getInventoryAt(hint.time).keys);
+        }
+        
+        // Keys and clocks picked up by now
+        this.inventory = this.replayPlayer.getInventoryAt(this.replayTime);
+        
+        // Put the player where they were at this moment
+        const position = this.replayPlayer.getPositionAt(this.replayTime);
+        this.player.x = position.x * this.cellSize;
+        this.player.y = position.y * this.cellSize;
+        
+        this.camera.follow(this.player, deltaTime);
+        
+        this.setLanternLevel(this.replayPlayer.getFuelLevelAt(this.replayTime), settings);
+        this.updateFlareLights(this.replayPlayer.flares, this.replayTime);
+        this.lighting.update(this.replayTime, this.cellSize);
+        this.exploration.update(this.playerLight.visibility.cellList, this.replayTime);
+        
+        this.updateReplayDisplay();
+    }
+    
+    /**
+     * Jump to a moment in the replay
+     * Memory of explored cells is rebuilt from there on
+     */
+    seekReplay(time) {
+        this.replayTime = Math.max(0, Math.min(time, this.replayPlayer.duration));
+        this.exploration = new ExplorationMap(this.mazeWidth, this.mazeHeight, this.replayPlayer.replay.settings.memoryFade);
+        this.hintTrail = null;
+        
+        const position = this.replayPlayer.getPositionAt(this.replayTime);
+        this.player.x = position.x * this.cellSize;
+        this.player.y = position.y * this.cellSize;
+        this.camera.snapTo(this.player);
+    }
+    
+    /**
+     * Pause or resume replay playback (restarts from the beginning if it had ended)
+     */
+    setReplayPaused(paused) {
+        if (!paused && this.replayPlayer && this.replayTime >= this.replayPlayer.duration) {
+            this.seekReplay(0);
+        }
+        
+        this.replayPaused = paused;
+        document.getElementById('replayPlayButton').textContent = paused ? '▶' : '⏸';
+    }
+    
+    /**
+     * Update the replay clock, scrubber and countdown
+     */
+    updateReplayDisplay() {
+        const seconds = (this.replayTime / 1000).toFixed(1);
+        const total = (this.replayPlayer.duration / 1000).toFixed(1);
+        document.getElementById('replayClock').textContent = `${seconds}s / ${total}s`;
+        document.getElementById('replayScrubber').value = this.replayTime;
+        document.getElementById('replayTimeDisplay').textContent =
+            this.replayPlayer.getTimeRemainingAt(this.replayTime);
+    }
+    
+    /**
+     * Leave the replay viewer
+     */
+    exitReplay() {
+        this.gameState = this.replayReturnState;
+        this.replayPlayer = null;
+        this.showScreen(this.replayReturnScreen);
+    }
+    
+    /**
+     * Download the last run's replay as a JSON file
+     */
+    exportReplay() {
+        const replay = this.recorder.getReplay();
+        if (!replay) return;
+        
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `shadow-maze-replay-${replay.maze.code}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * Load a replay JSON file and play it
+     */
+    async importReplay(file) {
+        const startError = document.getElementById('startError');
+        
+        try {
+            const replay = JSON.parse(await file.text());
+            startError.textContent = '';
+            this.startReplay(replay, 'startScreen');
+        } catch (error) {
+            console.warn('Replay import failed:', error);
+            startError.textContent = 'Could not read replay file / 無法讀取重播檔';
+        }
+    }
+    
+    /**
+     * Current time for time-based effects: run clock in play (wall clock less time
+     * spent paused, so it stands still during a pause), replay clock in replays
+     */
+    getClock() {
+        if (this.gameState === 'replay') return this.replayTime;
+        if (this.gameState === 'paused') return this.pausedAt - this.pausedTime;
+        return Date.now() - this.pausedTime;
+    }
+    
     /**
      * Show specific screen
      */
@@ -500,40 +2006,181 @@ class ShadowMazeGame {
         
         // Show target screen
         document.getElementById(screenId).classList.add('active');
+        this.menu.reset();
     }
     
     /**
      * Render the game
      */
     render() {
-        if (this.gameState !== 'playing') return;
+        if (this.gameState !== 'playing' && this.gameState !== 'replay') return;
         
         // Clear canvas
         this.ctx.fillStyle = '#000000';
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
         
-        // Calculate visible area around player
-        const lightRadius = this.player.lightRadius;
-        const playerGridX = Math.floor(this.player.x / this.cellSize);
-        const playerGridY = Math.floor(this.player.y / this.cellSize);
-        const cellsToCheck = Math.ceil(lightRadius / this.cellSize) + 2;
+        // Everything below is drawn in world coordinates
+        this.ctx.save();
+        this.camera.apply(this.ctx);
+        
+        // Render remembered corridors under the live light
+        this.lighting.renderMemoryLayer(this.ctx, this.maze, this.exploration, this.cellSize, this.getClock(), this.inventory);
         
         // Render maze with lighting
         this.lighting.renderWithLighting(
             this.ctx,
             this.maze,
-            this.player,
             this.cellSize,
-            playerGridX,
-            playerGridY,
-            cellsToCheck
+            this.inventory
         );
         
+        // Render the torches and flares themselves
+        this.renderLightSources();
+        
+        // Render hint breadcrumbs and the clicked route
+        this.renderHintTrail();
+        this.renderTravelRoute();
+        
+        // Render shadow creatures the light reaches
+        this.renderEnemies();
+        
         // Render player
         this.renderPlayer();
         
         // Render exit glow if visible
         this.renderExitGlow();
+        
+        this.ctx.restore();
+        
+        // Minimap of explored territory
+        if (this.minimapVisible) {
+            this.minimap.render(this.maze, this.exploration, this.player, this.cellSize, this.getClock());
+        }
+    }
+    
+    /**
+     * Render the hint breadcrumb trail, fading out over the hint duration
+     * Shown through the darkness - that is the point of a hint
+     */
+    renderHintTrail() {
+        if (!this.hintTrail) return;
+        
+        const age = this.getClock() - this.hintTrail.shownAt;
+        if (age >= this.hintDuration) {
+            this.hintTrail = null;
+            return;
+        }
+        
+        const fade = 1 - age / this.hintDuration;
+        
+        this.ctx.save();
+        this.ctx.shadowColor = '#facc15';
+        this.ctx.shadowBlur = 8;
+        
+        this.hintTrail.cells.forEach((cell, index) => {
+            // Crumbs further along the route are smaller and dimmer
+            const along = 1 - index / this.hintTrail.cells.length;
+            this.ctx.fillStyle = `rgba(250, 204, 21, ${(0.4 + 0.5 * along) * fade})`;
+            this.ctx.beginPath();
+            this.ctx.arc(
+                cell.x * this.cellSize + this.cellSize / 2,
+                cell.y * this.cellSize + this.cellSize / 2,
+                this.cellSize * (0.12 + 0.1 * along),
+                0,
+                Math.PI * 2
+            );
+            this.ctx.fill();
+        });
+        
+        this.ctx.restore();
+    }
+    
+    /**
+     * Render the rest of a clicked route: small dots and a ring on the destination
+     */
+    renderTravelRoute() {
+        if (!this.travelRoute || this.travelRoute.length === 0) return;
+        
+        const half = this.cellSize / 2;
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(255, 107, 53, 0.5)';
+        
+        for (const cell of this.travelRoute) {
+            this.ctx.beginPath();
+            this.ctx.arc(cell.x * this.cellSize + half, cell.y * this.cellSize + half, this.cellSize * 0.08, 0, Math.PI * 2);
+            this.ctx.fill();
+        }
+        
+        const destination = this.travelRoute[this.travelRoute.length - 1];
+        this.ctx.strokeStyle = 'rgba(255, 107, 53, 0.8)';
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.arc(destination.x * this.cellSize + half, destination.y * this.cellSize + half, this.cellSize * 0.3, 0, Math.PI * 2);
+        this.ctx.stroke();
+        
+        this.ctx.restore();
+    }
+    
+    /**
+     * Render the shadow creatures, but only those standing in some light
+     */
+    renderEnemies() {
+        const enemies = this.gameState === 'replay'
+            ? this.replayPlayer.getEnemiesAt(this.replayTime)
+            : this.enemies.enemies;
+        const time = this.getRunTime();
+        
+        for (const enemy of enemies) {
+            const position = getEnemyPosition(enemy, time);
+            if (!this.lighting.isCellVisible(Math.floor(position.x), Math.floor(position.y))) continue;
+            
+            const x = position.x * this.cellSize;
+            const y = position.y * this.cellSize;
+            
+            // Fade towards the edge of the light
+            const alpha = Math.max(0.25, this.lighting.getBrightness(x, y, this.cellSize));
+            const hunting = enemy.mode !== 'patrol';
+            
+            this.ctx.save();
+            this.ctx.globalAlpha = alpha;
+            
+            // Body: a dark wisp that wobbles a little
+            const wobble = 1 + 0.08 * Math.sin(time * 0.01 + enemy.cell.x);
+            this.ctx.fillStyle = '#120a1c';
+            this.ctx.shadowColor = hunting ? '#ef4444' : '#7c3aed';
+            this.ctx.shadowBlur = 12;
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, this.cellSize * 0.38 * wobble, 0, Math.PI * 2);
+            this.ctx.fill();
+            
+            // Eyes, red while hunting
+            this.ctx.shadowBlur = 6;
+            this.ctx.fillStyle = hunting ? '#ef4444' : '#c4b5fd';
+            for (const side of [-1, 1]) {
+                this.ctx.beginPath();
+                this.ctx.arc(x + side * this.cellSize * 0.12, y - this.cellSize * 0.05, this.cellSize * 0.06, 0, Math.PI * 2);
+                this.ctx.fill();
+            }
+            
+            this.ctx.restore();
+        }
+    }
+    
+    /**
+     * Render the wall torches and burning flares on screen
+     */
+    renderLightSources() {
+        for (const { spot, light } of this.torches) {
+            if (this.camera.isVisible(light.x, light.y, this.cellSize)) {
+                this.lighting.renderTorch(this.ctx, spot, this.cellSize, light.level);
+            }
+        }
+        
+        for (const light of this.flareLights) {
+            if (light && this.camera.isVisible(light.x, light.y, this.cellSize)) {
+                this.lighting.renderFlare(this.ctx, light.x, light.y, this.cellSize, light.level);
+            }
+        }
     }
     
     /**
@@ -570,13 +2217,8 @@ class ShadowMazeGame {
         const exitX = exitPos.x * this.cellSize + this.cellSize / 2;
         const exitY = exitPos.y * this.cellSize + this.cellSize / 2;
         
-        // Check if exit is within light range
-        const distance = Math.sqrt(
-            (this.player.x - exitX) ** 2 + 
-            (this.player.y - exitY) ** 2
-        );
-        
-        if (distance < this.player.lightRadius) {
+        // Check if the light actually reaches the exit (walls block it)
+        if (this.lighting.isCellVisible(exitPos.x, exitPos.y) && this.camera.isVisible(exitX, exitY, this.cellSize)) {
             this.ctx.save();
             
             // Create pulsing glow effect
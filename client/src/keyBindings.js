@@ -0,0 +1,184 @@
+/**
+ * Key Bindings
+ * Which keyboard keys (KeyboardEvent.code) trigger each action, saved in localStorage
+ * Each action can have several keys; a key belongs to at most one action
+ */
+
+const STORAGE_KEY = 'shadowMaze.keyBindings';
+
+export const DEFAULT_KEY_BINDINGS = {
+    up: ['KeyW', 'ArrowUp'],
+    down: ['KeyS', 'ArrowDown'],
+    left: ['KeyA', 'ArrowLeft'],
+    right: ['KeyD', 'ArrowRight'],
+    minimap: ['KeyM'],
+    hint: ['KeyH'],
+    flare: ['KeyF'],
+    sprint: ['ShiftLeft', 'ShiftRight'],
+    pause: ['Escape', 'KeyP']
+};
+
+export const ACTION_LABELS = {
+    up: 'Move Up / 向上',
+    down: 'Move Down / 向下',
+    left: 'Move Left / 向左',
+    right: 'Move Right / 向右',
+    minimap: 'Minimap / 小地圖',
+    hint: 'Hint / 提示',
+    flare: 'Drop Flare / 照明彈',
+    sprint: 'Sprint (hold) / 衝刺（按住）',
+    pause: 'Pause / 暫停'
+};
+
+const KEY_NAMES = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Space: 'Space',
+    Enter: 'Enter',
+    Escape: 'Esc',
+    ShiftLeft: 'Shift',
+    ShiftRight: 'R-Shift',
+    Backspace: '⌫',
+    Tab: 'Tab'
+};
+
+/**
+ * Copy a bindings object so callers can't change it in place
+ */
+function copyBindings(bindings) {
+    const copy = {};
+    for (const [action, keys] of Object.entries(bindings)) {
+        copy[action] = [...keys];
+    }
+    return copy;
+}
+
+export class KeyBindings {
+    constructor() {
+        this.bindings = copyBindings(DEFAULT_KEY_BINDINGS);
+        this.keyToAction = {};
+        this.layoutMap = null; // physical key -> printed label, where the browser supports it
+        
+        this.load();
+        this.layoutReady = this.loadLayout();
+    }
+    
+    /**
+     * Read saved bindings, keeping defaults for actions that were never saved
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            if (saved && typeof saved === 'object') {
+                for (const action of Object.keys(DEFAULT_KEY_BINDINGS)) {
+                    const keys = saved[action];
+                    if (Array.isArray(keys) && keys.every(key => typeof key === 'string')) {
+                        this.bindings[action] = [...keys];
+                    }
+                }
+            }
+        } catch (error) {
+            console.warn('Could not load key bindings:', error);
+        }
+        
+        this.rebuildLookup();
+    }
+    
+    /**
+     * Save the bindings and refresh the key lookup
+     */
+    save() {
+        this.rebuildLookup();
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.bindings));
+        } catch (error) {
+            console.warn('Could not save key bindings:', error);
+        }
+    }
+    
+    /**
+     * Build the key -> action table used on every key press
+     */
+    rebuildLookup() {
+        this.keyToAction = {};
+        for (const [action, keys] of Object.entries(this.bindings)) {
+            for (const key of keys) {
+                this.keyToAction[key] = action;
+            }
+        }
+    }
+    
+    /**
+     * Ask the browser for the keyboard layout so keys show their printed labels
+     * (e.g. KeyW shows as Z on AZERTY)
+     */
+    async loadLayout() {
+        if (!navigator.keyboard || !navigator.keyboard.getLayoutMap) return;
+        
+        try {
+            this.layoutMap = await navigator.keyboard.getLayoutMap();
+        } catch (error) {
+            console.warn('Keyboard layout unavailable:', error);
+        }
+    }
+    
+    /**
+     * Get the action a key is bound to (or undefined)
+     */
+    getAction(key) {
+        return this.keyToAction[key];
+    }
+    
+    /**
+     * Get the keys bound to an action
+     */
+    getKeys(action) {
+        return this.bindings[action] || [];
+    }
+    
+    /**
+     * Bind a key to an action, taking it away from any other action
+     * Returns the action the key was taken from, or null
+     */
+    addKey(action, key) {
+        const previous = this.getAction(key);
+        if (previous === action) return null;
+        
+        if (previous) {
+            this.bindings[previous] = this.bindings[previous].filter(bound => bound !== key);
+        }
+        this.bindings[action].push(key);
+        this.save();
+        return previous || null;
+    }
+    
+    /**
+     * Unbind a key from an action
+     */
+    removeKey(action, key) {
+        this.bindings[action] = this.bindings[action].filter(bound => bound !== key);
+        this.save();
+    }
+    
+    /**
+     * Restore every action to its default keys
+     */
+    reset() {
+        this.bindings = copyBindings(DEFAULT_KEY_BINDINGS);
+        this.save();
+    }
+    
+    /**
+     * Human-readable name for a key code
+     */
+    describeKey(key) {
+        if (KEY_NAMES[key]) return KEY_NAMES[key];
+        
+        const label = this.layoutMap && this.layoutMap.get(key);
+        if (label) return label.toUpperCase();
+        
+        return key.replace(/^Key/, '').replace(/^Digit/, '').replace(/^Numpad/, 'Num ');
+    }
+}
@@ -1,270 +1,603 @@
 /**
  * Lighting System for Shadow Maze
  * Handles dynamic lighting, shadow casting, and fog of war
+ * Any number of lights can be added - the player's lantern, wall torches, the exit,
+ * dropped flares - each with its own position, radius, colour, intensity and flicker.
+ * Every light casts its own rays through the maze grid; the lit scene is drawn to an
+ * offscreen canvas and cut down by a mask that adds up each light's visibility polygon
+ * with its radial falloff
+ * Keys, locked doors and clocks are drawn in the cells that hold them; light passes
+ * between a door's bars, so doors never block visibility
  */
 
+import { CELL } from '@shared/maze/items';
+import { SeededRandom, hashString } from '@shared/maze/random';
+import { Visibility } from './visibility.js';
+
+// Key and door colour for each lock, by its index in maze.locks
+export const LOCK_COLORS = ['#ffd166', '#4cc9f0', '#f472b6', '#a3e635'];
+
+// Options a light starts with unless addLight() is given others
+const LIGHT_DEFAULTS = {
+    x: 0,
+    y: 0,
+    follow: null,     // object with x / y (e.g. the player) the light moves with
+    radius: 100,      // pixels
+    color: '#ffffff', // #rrggbb
+    intensity: 1,     // 0-1
+    flicker: 0,       // 0 = steady, 1 = gutters wildly
+    expiresAt: null,  // time (ms) the light burns out, null = never
+    fadeTime: 0       // ms the light dims for before it burns out
+};
+
+// Cells (Manhattan) kept between wall torches
+const TORCH_SPACING = 8;
+
+// Sides of a cell a torch can hang on
+const TORCH_SIDES = [{ x: 0, y: -1 }, { x: 0, y: 1 }, { x: -1, y: 0 }, { x: 1, y: 0 }];
+
+/**
+ * Colour of a lock's key and door
+ */
+export function getLockColor(lock) {
+    return LOCK_COLORS[lock % LOCK_COLORS.length];
+}
+
+/**
+ * Turn '#rrggbb' into 'r, g, b' for use in rgba()
+ */
+function toRgb(color) {
+    const value = parseInt(color.slice(1), 16);
+    return `${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}`;
+}
+
+/**
+ * Choose up to `count` path cells for wall torches, spread out and each against a wall
+ * Follows the maze seed, so the same maze always has the same torches
+ * Returns [{ x, y, side }] where side points from the cell to the wall holding the torch
+ */
+export function chooseTorchSpots(maze, count) {
+    if (count <= 0) return [];
+    
+    const random = new SeededRandom(hashString(`shadow-maze-torches:${maze.getSeed()}`));
+    const candidates = [];
+    for (let y = 0; y < maze.height; y++) {
+        for (let x = 0; x < maze.width; x++) {
+            if (maze.getCell(x, y) !== CELL.PATH || maze.isStartOrExit(x, y)) continue;
+            
+            const sides = TORCH_SIDES.filter(side => maze.isWall(x + side.x, y + side.y));
+            if (sides.length > 0) {
+                candidates.push({ x, y, side: sides[random.nextInt(sides.length)] });
+            }
+        }
+    }
+    
+    const spots = [];
+    for (const spot of random.shuffle(candidates)) {
+        if (spots.length >= count) break;
+        if (spots.every(other => Math.abs(other.x - spot.x) + Math.abs(other.y - spot.y) >= TORCH_SPACING)) {
+            spots.push(spot);
+        }
+    }
+    return spots;
+}
+
 export class LightingSystem {
     constructor() {
-        this.shadowCanvas = null;
-        this.shadowCtx = null;
         this.lightCanvas = null;
         this.lightCtx = null;
+        this.maskCanvas = null; // every light's falloff added up, cut into the lit scene
+        this.maskCtx = null;
+        this.camera = null;
+        this.maze = null;
+        this.lights = [];
+        this.visibleCells = null; // 1 for cells any light reaches this frame
+        this.cellList = []; // indices (y * width + x) of those cells
     }
     
     /**
-     * Setup lighting canvases
+     * Setup lighting canvas (screen sized, the camera maps world positions onto it)
      */
-    setup(width, height) {
-        // Create shadow canvas
-        this.shadowCanvas = document.createElement('canvas');
-        this.shadowCanvas.width = width;
-        this.shadowCanvas.height = height;
-        this.shadowCtx = this.shadowCanvas.getContext('2d');
-        
-        // Create light canvas
+    setup(width, height, camera) {
+        this.camera = camera;
+        
         this.lightCanvas = document.createElement('canvas');
         this.lightCanvas.width = width;
         this.lightCanvas.height = height;
         this.lightCtx = this.lightCanvas.getContext('2d');
+        
+        this.maskCanvas = document.createElement('canvas');
+        this.maskCanvas.width = width;
+        this.maskCanvas.height = height;
+        this.maskCtx = this.maskCanvas.getContext('2d');
     }
     
     /**
-     * Render the maze with dynamic lighting
+     * Start lighting a new maze, with no lights in it
      */
-    renderWithLighting(ctx, maze, player, cellSize, playerGridX, playerGridY, cellsToCheck) {
-        // Clear canvases
-        this.clearCanvases();
-        
-        // Render maze walls to shadow canvas
-        this.renderMazeToShadowCanvas(maze, cellSize, playerGridX, playerGridY, cellsToCheck);
-        
-        // Create light mask
-        this.createLightMask(player);
-        
-        // Render visible maze parts
-        this.renderVisibleMaze(ctx, maze, player, cellSize, playerGridX, playerGridY, cellsToCheck);
+    setMaze(maze) {
+        this.maze = maze;
+        this.lights = [];
+        this.visibleCells = new Uint8Array(maze.width * maze.height);
+        this.cellList = [];
     }
     
     /**
-     * Clear all lighting canvases
+     * Add a light (see LIGHT_DEFAULTS for the options)
+     * Returns the light; change its x, y, radius, color or intensity at any time
      */
-    clearCanvases() {
-        this.shadowCtx.clearRect(0, 0, this.shadowCanvas.width, this.shadowCanvas.height);
-        this.lightCtx.clearRect(0, 0, this.lightCanvas.width, this.lightCanvas.height);
+    addLight(options = {}) {
+        const light = {
+            ...LIGHT_DEFAULTS,
+            ...options,
+            phase: Math.random() * 1000, // so flickering lights don't flicker together
+            visibility: new Visibility(this.maze),
+            visibilityKey: null, // position and radius the rays were last cast for
+            level: 0 // brightness this frame, after flicker and fading
+        };
+        this.lights.push(light);
+        return light;
     }
     
     /**
-     * Render maze walls to shadow canvas for occlusion
+     * Take a light out of the maze (lights that burned out are already gone)
      */
-    renderMazeToShadowCanvas(maze, cellSize, playerGridX, playerGridY, cellsToCheck) {
-        this.shadowCtx.fillStyle = '#000000';
-        
-        const startX = Math.max(0, playerGridX - cellsToCheck);
-        const endX = Math.min(maze.width, playerGridX + cellsToCheck);
-        const startY = Math.max(0, playerGridY - cellsToCheck);
-        const endY = Math.min(maze.height, playerGridY + cellsToCheck);
+    removeLight(light) {
+        this.lights = this.lights.filter(other => other !== light);
+    }
+    
+    /**
+     * Work out what each light reaches this frame and how bright it burns,
+     * dropping lights that have burned out. `time` is ms into the run
+     * Lights only cast their rays again once they move or change size
+     */
+    update(time, cellSize) {
+        this.lights = this.lights.filter(light => light.expiresAt === null || time < light.expiresAt);
+        this.visibleCells.fill(0);
+        this.cellList = [];
         
-        for (let y = startY; y < endY; y++) {
-            for (let x = startX; x < endX; x++) {
-                if (maze.isWall(x, y)) {
-                    this.shadowCtx.fillRect(
-                        x * cellSize,
-                        y * cellSize,
-                        cellSize,
-                        cellSize
-                    );
+        for (const light of this.lights) {
+            if (light.follow) {
+                light.x = light.follow.x;
+                light.y = light.follow.y;
+            }
+            
+            const key = `${light.x},${light.y},${light.radius}`;
+            if (light.visibilityKey !== key) {
+                light.visibility.compute(light.x, light.y, light.radius, cellSize);
+                light.visibilityKey = key;
+            }
+            light.level = this.getLightLevel(light, time);
+            
+            for (const index of light.visibility.cellList) {
+                if (!this.visibleCells[index]) {
+                    this.visibleCells[index] = 1;
+                    this.cellList.push(index);
                 }
             }
         }
     }
     
     /**
-     * Create a radial light mask with shadow casting
+     * A light's brightness at a time: its intensity, less any flicker,
+     * dimming over its last moments
      */
-    createLightMask(player) {
-        // Fill with black (no light)
-        this.lightCtx.fillStyle = '#000000';
-        this.lightCtx.fillRect(0, 0, this.lightCanvas.width, this.lightCanvas.height);
+    getLightLevel(light, time) {
+        let level = light.intensity;
         
-        // Cast light rays in all directions
-        this.castLightRays(player);
+        if (light.flicker > 0) {
+            // A few out-of-step waves make an uneven, flame-like flutter (0-1)
+            const t = time * 0.001 + light.phase;
+            const wave = (Math.sin(t * 7.3) + 0.6 * Math.sin(t * 13.1 + 1.7) + 0.3 * Math.sin(t * 23.7 + 4.1)) / 1.9;
+            level *= 1 - light.flicker * 0.3 * (1 + wave) / 2;
+        }
+        
+        if (light.expiresAt !== null && light.fadeTime > 0) {
+            level *= Math.max(0, Math.min((light.expiresAt - time) / light.fadeTime, 1));
+        }
+        
+        return level;
     }
     
     /**
-     * Cast light rays using raycasting algorithm
+     * How brightly the lights fall on a world position (0-1), walls blocking them
      */
-    castLightRays(player) {
-        const rayCount = 360; // Number of rays to cast
-        const lightRadius = player.lightRadius;
-        
-        // Create gradient for smooth light falloff
-        const gradient = this.lightCtx.createRadialGradient(
-            player.x, player.y, 0,
-            player.x, player.y, lightRadius
-        );
-        gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
-        gradient.addColorStop(0.7, 'rgba(255, 255, 255, 0.5)');
-        gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
-        
-        // Use composite operation to create light
-        this.lightCtx.globalCompositeOperation = 'screen';
-        
-        // Cast rays in all directions
-        for (let i = 0; i < rayCount; i++) {
-            const angle = (i / rayCount) * Math.PI * 2;
-            const rayEnd = this.castRay(player.x, player.y, angle, lightRadius);
+    getBrightness(x, y, cellSize) {
+        const cellX = Math.floor(x / cellSize);
+        const cellY = Math.floor(y / cellSize);
+        
+        let brightness = 0;
+        for (const light of this.lights) {
+            if (!light.visibility.isVisible(cellX, cellY)) continue;
             
-            // Draw light ray
-            this.drawLightRay(player.x, player.y, rayEnd.x, rayEnd.y, gradient);
+            const falloff = 1 - Math.hypot(x - light.x, y - light.y) / light.radius;
+            brightness = Math.max(brightness, falloff * light.level);
         }
+        return Math.min(1, brightness);
+    }
+    
+    /**
+     * Check a light is on screen and has had its rays cast
+     */
+    isLightShown(light) {
+        return light.visibilityKey !== null && light.level > 0 && this.camera.isVisible(light.x, light.y, light.radius);
+    }
+    
+    /**
+     * Render the maze with dynamic lighting
+     * Expects ctx to already have the camera transform applied,
+     * and update() to have run for this frame
+     */
+    renderWithLighting(ctx, maze, cellSize, inventory) {
+        // Draw the lit scene offscreen
+        this.lightCtx.clearRect(0, 0, this.lightCanvas.width, this.lightCanvas.height);
+        this.lightCtx.save();
+        this.camera.apply(this.lightCtx);
+        this.renderVisibleMaze(this.lightCtx, maze, cellSize, inventory);
+        this.lightCtx.restore();
         
-        // Reset composite operation
+        // Keep only what the lights cover
+        this.renderLightMask(maze, cellSize);
+        this.lightCtx.globalCompositeOperation = 'destination-in';
+        this.lightCtx.drawImage(this.maskCanvas, 0, 0);
         this.lightCtx.globalCompositeOperation = 'source-over';
+        
+        // Composite onto the screen (lightCanvas is already in screen space)
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.drawImage(this.lightCanvas, 0, 0);
+        ctx.restore();
     }
     
     /**
-     * Cast a single ray and find where it hits a wall
+     * Add up every light's visibility polygon with its radial falloff
+     * Visible wall cells are added to each light's shape so wall faces stay lit
      */
-    castRay(startX, startY, angle, maxDistance) {
-        const deltaX = Math.cos(angle);
-        const deltaY = Math.sin(angle);
-        const step = 1; // Ray step size
-        
-        let currentX = startX;
-        let currentY = startY;
-        let distance = 0;
-        
-        while (distance < maxDistance) {
-            currentX += deltaX * step;
-            currentY += deltaY * step;
-            distance += step;
+    renderLightMask(maze, cellSize) {
+        const ctx = this.maskCtx;
+        ctx.clearRect(0, 0, this.maskCanvas.width, this.maskCanvas.height);
+        ctx.save();
+        this.camera.apply(ctx);
+        ctx.globalCompositeOperation = 'lighter';
+        
+        for (const light of this.lights) {
+            if (!this.isLightShown(light)) continue;
             
-            // Check if ray hit a shadow (wall)
-            if (this.isInShadow(currentX, currentY)) {
-                break;
-            }
+            const gradient = ctx.createRadialGradient(light.x, light.y, 0, light.x, light.y, light.radius);
+            gradient.addColorStop(0, `rgba(255, 255, 255, ${light.level})`);
+            gradient.addColorStop(0.7, `rgba(255, 255, 255, ${0.5 * light.level})`);
+            gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
             
-            // Check bounds
-            if (currentX < 0 || currentX >= this.shadowCanvas.width ||
-                currentY < 0 || currentY >= this.shadowCanvas.height) {
-                break;
-            }
+            this.traceLitArea(ctx, light, maze, cellSize);
+            ctx.fillStyle = gradient;
+            ctx.fill();
         }
         
-        return { x: currentX, y: currentY };
+        ctx.restore();
     }
     
     /**
-     * Check if a point is in shadow (hits a wall)
+     * Trace a light's visibility polygon plus the wall cells it reaches as one path
      */
-    isInShadow(x, y) {
-        if (x < 0 || x >= this.shadowCanvas.width ||
-            y < 0 || y >= this.shadowCanvas.height) {
-            return true;
+    traceLitArea(ctx, light, maze, cellSize) {
+        const polygon = light.visibility.polygon;
+        
+        ctx.beginPath();
+        ctx.moveTo(polygon[0].x, polygon[0].y);
+        for (let i = 1; i < polygon.length; i++) {
+            ctx.lineTo(polygon[i].x, polygon[i].y);
         }
+        ctx.closePath();
         
-        const pixelData = this.shadowCtx.getImageData(Math.floor(x), Math.floor(y), 1, 1).data;
-        return pixelData[3] > 0; // Check alpha channel
+        for (const index of light.visibility.cellList) {
+            const x = index % maze.width;
+            const y = Math.floor(index / maze.width);
+            if (maze.isWall(x, y)) {
+                ctx.rect(x * cellSize, y * cellSize, cellSize, cellSize);
+            }
+        }
     }
     
     /**
-     * Draw a light ray between two points
+     * Render remembered cells as a faint, desaturated layer under the live light
+     * Remembered doors, keys, clocks and oil show as faint outlines of themselves
+     * Expects ctx to already have the camera transform applied
      */
-    drawLightRay(startX, startY, endX, endY, gradient) {
-        this.lightCtx.save();
+    renderMemoryLayer(ctx, maze, exploration, cellSize, time, inventory) {
+        const bounds = this.camera.getVisibleCellBounds(cellSize);
+        const startX = Math.max(0, bounds.startX);
+        const endX = Math.min(maze.width, bounds.endX);
+        const startY = Math.max(0, bounds.startY);
+        const endY = Math.min(maze.height, bounds.endY);
         
-        // Create a triangle to represent the light ray
-        this.lightCtx.fillStyle = gradient;
-        this.lightCtx.globalAlpha = 0.1;
+        ctx.save();
         
-        this.lightCtx.beginPath();
-        this.lightCtx.moveTo(startX, startY);
-        this.lightCtx.lineTo(endX, endY);
-        this.lightCtx.arc(startX, startY, 2, 0, Math.PI * 2);
-        this.lightCtx.fill();
+        for (let y = startY; y < endY; y++) {
+            for (let x = startX; x < endX; x++) {
+                const strength = exploration.getMemoryStrength(x, y, time);
+                if (strength <= 0) continue;
+                
+                if (maze.isWall(x, y)) {
+                    ctx.fillStyle = `rgba(90, 90, 100, ${0.2 * strength})`;
+                } else {
+                    ctx.fillStyle = `rgba(50, 50, 58, ${0.15 * strength})`;
+                }
+                ctx.fillRect(x * cellSize, y * cellSize, cellSize, cellSize);
+                
+                if (maze.getCell(x, y) !== CELL.PATH && !maze.isWall(x, y)) {
+                    this.renderItem(ctx, maze, x, y, cellSize, inventory, 0.35 * strength);
+                }
+            }
+        }
         
-        this.lightCtx.restore();
+        ctx.restore();
+    }
+    
+    /**
+     * Check if any light reaches a cell this frame
+     */
+    isCellVisible(x, y) {
+        if (!this.visibleCells || x < 0 || x >= this.maze.width || y < 0 || y >= this.maze.height) return false;
+        return this.visibleCells[y * this.maze.width + x] === 1;
     }
     
     /**
      * Render the visible parts of the maze
      */
-    renderVisibleMaze(ctx, maze, player, cellSize, playerGridX, playerGridY, cellsToCheck) {
-        // Create a circular light area
-        this.renderCircularLight(ctx, player);
+    renderVisibleMaze(ctx, maze, cellSize, inventory) {
+        // Tint the floor with each light's colour
+        for (const light of this.lights) {
+            if (this.isLightShown(light)) {
+                this.renderLightGlow(ctx, light, maze, cellSize);
+            }
+        }
         
         // Render maze elements within light
-        this.renderMazeElements(ctx, maze, player, cellSize, playerGridX, playerGridY, cellsToCheck);
+        this.renderMazeElements(ctx, maze, cellSize, inventory);
     }
     
     /**
-     * Render circular light around player
+     * Render a light's coloured glow, kept to the area its rays reach
      */
-    renderCircularLight(ctx, player) {
+    renderLightGlow(ctx, light, maze, cellSize) {
         ctx.save();
         
-        // Create circular clipping mask
-        ctx.beginPath();
-        ctx.arc(player.x, player.y, player.lightRadius, 0, Math.PI * 2);
+        this.traceLitArea(ctx, light, maze, cellSize);
         ctx.clip();
         
-        // Create radial gradient for lighting
-        const gradient = ctx.createRadialGradient(
-            player.x, player.y, 0,
-            player.x, player.y, player.lightRadius
-        );
-        gradient.addColorStop(0, 'rgba(255, 107, 53, 0.3)');
-        gradient.addColorStop(0.4, 'rgba(255, 107, 53, 0.1)');
-        gradient.addColorStop(1, 'rgba(255, 107, 53, 0)');
+        const rgb = toRgb(light.color);
+        const gradient = ctx.createRadialGradient(light.x, light.y, 0, light.x, light.y, light.radius);
+        gradient.addColorStop(0, `rgba(${rgb}, ${0.3 * light.level})`);
+        gradient.addColorStop(0.4, `rgba(${rgb}, ${0.1 * light.level})`);
+        gradient.addColorStop(1, `rgba(${rgb}, 0)`);
         
-        // Fill the light area
         ctx.fillStyle = gradient;
-        ctx.fillRect(
-            player.x - player.lightRadius,
-            player.y - player.lightRadius,
-            player.lightRadius * 2,
-            player.lightRadius * 2
-        );
+        ctx.fillRect(light.x - light.radius, light.y - light.radius, light.radius * 2, light.radius * 2);
         
         ctx.restore();
     }
     
     /**
-     * Render maze elements (walls and paths)
+     * Render maze elements (walls, paths and what lies on them) the light can see
+     * Drawn at full strength - the light mask applies the falloff
      */
-    renderMazeElements(ctx, maze, player, cellSize, playerGridX, playerGridY, cellsToCheck) {
-        const startX = Math.max(0, playerGridX - cellsToCheck);
-        const endX = Math.min(maze.width, playerGridX + cellsToCheck);
-        const startY = Math.max(0, playerGridY - cellsToCheck);
-        const endY = Math.min(maze.height, playerGridY + cellsToCheck);
-        
-        for (let y = startY; y < endY; y++) {
-            for (let x = startX; x < endX; x++) {
-                const cellX = x * cellSize;
-                const cellY = y * cellSize;
-                const cellCenterX = cellX + cellSize / 2;
-                const cellCenterY = cellY + cellSize / 2;
-                
-                // Check if cell is within light radius
-                const distance = Math.sqrt(
-                    (player.x - cellCenterX) ** 2 + 
-                    (player.y - cellCenterY) ** 2
-                );
-                
-                if (distance < player.lightRadius) {
-                    // Calculate light intensity
-                    const intensity = Math.max(0, 1 - distance / player.lightRadius);
-                    
-                    if (maze.isWall(x, y)) {
-                        this.renderWall(ctx, cellX, cellY, cellSize, intensity);
-                    } else {
-                        this.renderPath(ctx, cellX, cellY, cellSize, intensity);
-                    }
+    renderMazeElements(ctx, maze, cellSize, inventory) {
+        for (const index of this.cellList) {
+            const x = index % maze.width;
+            const y = Math.floor(index / maze.width);
+            const cellX = x * cellSize;
+            const cellY = y * cellSize;
+            
+            if (maze.isWall(x, y)) {
+                this.renderWall(ctx, cellX, cellY, cellSize, 1);
+            } else {
+                this.renderPath(ctx, cellX, cellY, cellSize, 1);
+                if (maze.getCell(x, y) !== CELL.PATH) {
+                    this.renderItem(ctx, maze, x, y, cellSize, inventory, 1);
                 }
             }
         }
     }
     
+    /**
+     * Render the key, door, clock or oil flask in a cell
+     * Picked-up keys, clocks and oil are gone; a door stands open once its key is held
+     */
+    renderItem(ctx, maze, x, y, cellSize, inventory, intensity) {
+        if (inventory.isCollected(x, y)) return;
+        
+        const cell = maze.getCell(x, y);
+        const cellX = x * cellSize;
+        const cellY = y * cellSize;
+        
+        ctx.save();
+        ctx.globalAlpha = intensity;
+        
+        if (cell === CELL.KEY) {
+            this.renderKey(ctx, cellX, cellY, cellSize, getLockColor(maze.getLockAt(x, y)));
+        } else if (cell === CELL.DOOR) {
+            const lock = maze.getLockAt(x, y);
+            this.renderDoor(ctx, cellX, cellY, cellSize, getLockColor(lock), !inventory.keys.has(lock));
+        } else if (cell === CELL.CLOCK) {
+            this.renderClock(ctx, cellX, cellY, cellSize);
+        } else if (cell === CELL.OIL) {
+            this.renderOil(ctx, cellX, cellY, cellSize);
+        }
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Render a key lying in a cell
+     */
+    renderKey(ctx, x, y, size, color) {
+        const centerY = y + size / 2;
+        const bowX = x + size * 0.32;
+        
+        ctx.strokeStyle = color;
+        ctx.lineWidth = Math.max(2, size * 0.08);
+        ctx.lineCap = 'round';
+        ctx.shadowColor = color;
+        ctx.shadowBlur = 8;
+        
+        // Bow, shaft and two teeth
+        ctx.beginPath();
+        ctx.arc(bowX, centerY, size * 0.13, 0, Math.PI * 2);
+        ctx.moveTo(bowX + size * 0.13, centerY);
+        ctx.lineTo(x + size * 0.8, centerY);
+        ctx.moveTo(x + size * 0.66, centerY);
+        ctx.lineTo(x + size * 0.66, centerY + size * 0.14);
+        ctx.moveTo(x + size * 0.78, centerY);
+        ctx.lineTo(x + size * 0.78, centerY + size * 0.1);
+        ctx.stroke();
+    }
+    
+    /**
+     * Render a door: barred and padlocked while locked, just its posts once open
+     */
+    renderDoor(ctx, x, y, size, color, locked) {
+        const inset = size * 0.1;
+        const postWidth = size * 0.12;
+        
+        ctx.fillStyle = color;
+        ctx.fillRect(x + inset, y + inset, postWidth, size - inset * 2);
+        ctx.fillRect(x + size - inset - postWidth, y + inset, postWidth, size - inset * 2);
+        if (!locked) return;
+        
+        // Bars across the opening
+        ctx.strokeStyle = color;
+        ctx.lineWidth = Math.max(1, size * 0.06);
+        ctx.beginPath();
+        for (let bar = 1; bar <= 3; bar++) {
+            const barX = x + inset + (size - inset * 2) * bar / 4;
+            ctx.moveTo(barX, y + inset);
+            ctx.lineTo(barX, y + size - inset);
+        }
+        ctx.moveTo(x + inset, y + inset);
+        ctx.lineTo(x + size - inset, y + inset);
+        ctx.moveTo(x + inset, y + size - inset);
+        ctx.lineTo(x + size - inset, y + size - inset);
+        ctx.stroke();
+        
+        // Padlock in the middle
+        ctx.fillStyle = '#1a1a1a';
+        ctx.fillRect(x + size * 0.38, y + size * 0.42, size * 0.24, size * 0.2);
+        ctx.strokeRect(x + size * 0.38, y + size * 0.42, size * 0.24, size * 0.2);
+    }
+    
+    /**
+     * Render a time-bonus clock
+     */
+    renderClock(ctx, x, y, size) {
+        const centerX = x + size / 2;
+        const centerY = y + size / 2;
+        const radius = size * 0.28;
+        
+        ctx.shadowColor = '#7dd3fc';
+        ctx.shadowBlur = 10;
+        ctx.fillStyle = 'rgba(125, 211, 252, 0.25)';
+        ctx.strokeStyle = '#7dd3fc';
+        ctx.lineWidth = Math.max(1.5, size * 0.06);
+        
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        
+        // Hands at three o'clock
+        ctx.beginPath();
+        ctx.moveTo(centerX, centerY - radius * 0.7);
+        ctx.lineTo(centerX, centerY);
+        ctx.lineTo(centerX + radius * 0.55, centerY);
+        ctx.stroke();
+    }
+    
+    /**
+     * Render a flask of lantern oil
+     */
+    renderOil(ctx, x, y, size) {
+        const centerX = x + size / 2;
+        const bodyTop = y + size * 0.42;
+        const bodyHeight = size * 0.34;
+        const bodyWidth = size * 0.4;
+        
+        ctx.shadowColor = '#fbbf24';
+        ctx.shadowBlur = 10;
+        ctx.fillStyle = 'rgba(251, 191, 36, 0.35)';
+        ctx.strokeStyle = '#fbbf24';
+        ctx.lineWidth = Math.max(1.5, size * 0.06);
+        
+        // Rounded body with a narrow neck
+        ctx.beginPath();
+        ctx.moveTo(centerX - size * 0.07, y + size * 0.22);
+        ctx.lineTo(centerX - size * 0.07, bodyTop);
+        ctx.lineTo(centerX - bodyWidth / 2, bodyTop + size * 0.08);
+        ctx.lineTo(centerX - bodyWidth / 2, bodyTop + bodyHeight);
+        ctx.lineTo(centerX + bodyWidth / 2, bodyTop + bodyHeight);
+        ctx.lineTo(centerX + bodyWidth / 2, bodyTop + size * 0.08);
+        ctx.lineTo(centerX + size * 0.07, bodyTop);
+        ctx.lineTo(centerX + size * 0.07, y + size * 0.22);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        
+        // Oil line inside the flask
+        ctx.beginPath();
+        ctx.moveTo(centerX - bodyWidth / 2, bodyTop + bodyHeight * 0.45);
+        ctx.lineTo(centerX + bodyWidth / 2, bodyTop + bodyHeight * 0.45);
+        ctx.stroke();
+    }
+    
+    /**
+     * Render a torch on the wall beside a path cell, its flame swaying with its light
+     */
+    renderTorch(ctx, spot, cellSize, level) {
+        const centerX = (spot.x + 0.5 + spot.side.x * 0.42) * cellSize;
+        const centerY = (spot.y + 0.5 + spot.side.y * 0.42) * cellSize;
+        const flame = cellSize * (0.14 + 0.06 * level);
+        
+        ctx.save();
+        
+        // Bracket
+        ctx.fillStyle = '#5b4636';
+        ctx.fillRect(centerX - cellSize * 0.05, centerY - cellSize * 0.05, cellSize * 0.1, cellSize * 0.22);
+        
+        // Flame
+        ctx.fillStyle = '#ffb347';
+        ctx.shadowColor = '#ff8c1a';
+        ctx.shadowBlur = 12 * level;
+        ctx.beginPath();
+        ctx.ellipse(centerX, centerY - flame * 0.6, flame * 0.6, flame, 0, 0, Math.PI * 2);
+        ctx.fill();
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Render a dropped flare, its spark fading as it burns out
+     */
+    renderFlare(ctx, x, y, cellSize, level) {
+        ctx.save();
+        
+        ctx.strokeStyle = '#7f1d1d';
+        ctx.lineWidth = Math.max(2, cellSize * 0.1);
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(x - cellSize * 0.18, y + cellSize * 0.12);
+        ctx.lineTo(x + cellSize * 0.12, y - cellSize * 0.08);
+        ctx.stroke();
+        
+        ctx.globalAlpha = Math.max(0, Math.min(level, 1));
+        ctx.fillStyle = '#fecaca';
+        ctx.shadowColor = '#ff4d4d';
+        ctx.shadowBlur = 14;
+        ctx.beginPath();
+        ctx.arc(x + cellSize * 0.14, y - cellSize * 0.1, cellSize * 0.09, 0, Math.PI * 2);
+        ctx.fill();
+        
+        ctx.restore();
+    }
+    
     /**
      * Render a wall cell
      */
@@ -0,0 +1,134 @@
+/**
+ * Menu Navigation
+ * Moves a focus highlight between the buttons of the active screen with directional
+ * input, so menus can be driven from a gamepad without a mouse or keyboard
+ */
+
+const FOCUSABLE = 'button, input, select';
+
+export class MenuNavigator {
+    constructor() {
+        this.focused = null;
+    }
+    
+    /**
+     * Get the usable controls on the active screen (or overlay)
+     */
+    getItems() {
+        const screen = this.getActiveScreen();
+        if (!screen) return [];
+        
+        return Array.from(screen.querySelectorAll(FOCUSABLE)).filter(element =>
+            !element.disabled && element.type !== 'file' && element.offsetParent !== null);
+    }
+    
+    /**
+     * The screen that currently takes input
+     */
+    getActiveScreen() {
+        const screens = document.querySelectorAll('.screen.active');
+        return screens[screens.length - 1] || null;
+    }
+    
+    /**
+     * Forget the focus, e.g. when the screen changes
+     */
+    reset() {
+        this.setFocus(null);
+    }
+    
+    /**
+     * Move the focus to the nearest control in a direction
+     * The first press on a screen just focuses its first control
+     */
+    move(direction) {
+        const items = this.getItems();
+        if (items.length === 0) return;
+        
+        if (!this.focused || !items.includes(this.focused)) {
+            this.setFocus(items[0]);
+            return;
+        }
+        
+        // Left / right adjust a focused slider instead of leaving it
+        if (this.focused.type === 'range' && (direction === 'left' || direction === 'right')) {
+            if (direction === 'left') {
+                this.focused.stepDown();
+            } else {
+                this.focused.stepUp();
+            }
+            this.focused.dispatchEvent(new Event('input', { bubbles: true }));
+            return;
+        }
+        
+        const from = this.focused.getBoundingClientRect();
+        const fromX = from.left + from.width / 2;
+        const fromY = from.top + from.height / 2;
+        
+        let best = null;
+        let bestScore = Infinity;
+        for (const item of items) {
+            if (item === this.focused) continue;
+            
+            const rect = item.getBoundingClientRect();
+            const dx = rect.left + rect.width / 2 - fromX;
+            const dy = rect.top + rect.height / 2 - fromY;
+            
+            // Distance along the direction, plus a penalty for drifting sideways
+            const along = { up: -dy, down: dy, left: -dx, right: dx }[direction];
+            const across = direction === 'up' || direction === 'down' ? Math.abs(dx) : Math.abs(dy);
+            if (along <= 1) continue;
+            
+            const score = along + across * 2;
+            if (score < bestScore) {
+                bestScore = score;
+                best = item;
+            }
+        }
+        
+        if (best) {
+            this.setFocus(best);
+        }
+    }
+    
+    /**
+     * Press the focused control
+     */
+    activate() {
+        if (!this.focused || !this.getItems().includes(this.focused)) return;
+        
+        if (this.focused.tagName === 'BUTTON') {
+            this.focused.click();
+        } else {
+            this.focused.focus();
+        }
+    }
+    
+    /**
+     * Press the active screen's back control (marked with data-menu-back)
+     * Returns false when the screen has none
+     */
+    back() {
+        const screen = this.getActiveScreen();
+        const backButton = screen && screen.querySelector('[data-menu-back]');
+        if (!backButton || backButton.offsetParent === null) return false;
+        
+        backButton.click();
+        return true;
+    }
+    
+    /**
+     * Highlight a control and give it keyboard focus
+     */
+    setFocus(element) {
+        if (this.focused) {
+            this.focused.classList.remove('menu-focus');
+        }
+        
+        this.focused = element;
+        if (element) {
+            element.classList.add('menu-focus');
+            element.focus();
+        }
+    }
+}
@@ -0,0 +1,99 @@
+/**
+ * Minimap Overlay
+ * Small map in the HUD corner showing only the cells the player has already seen,
+ * the player's position and, once discovered, the exit
+ */
+
+const COLORS = {
+    wall: 0xFF807070,  // packed as ABGR for the pixel buffer
+    path: 0xFF382E2E,
+    player: '#ff6b35',
+    exit: '#4ade80'
+};
+
+export class Minimap {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.maxWidth = 200;  // CSS pixels
+        this.maxHeight = 140;
+        this.redrawInterval = 100; // ms between redraws, the map changes slowly
+        
+        // One pixel per maze cell, scaled up when drawn
+        this.cellCanvas = document.createElement('canvas');
+        this.cellCtx = this.cellCanvas.getContext('2d');
+        this.imageData = null;
+        this.pixels = null;
+        
+        this.scale = 1;
+        this.lastDrawTime = 0;
+    }
+    
+    /**
+     * Size the minimap for a new maze
+     */
+    setMaze(maze) {
+        this.scale = Math.min(this.maxWidth / maze.width, this.maxHeight / maze.height);
+        
+        const pixelRatio = window.devicePixelRatio || 1;
+        this.canvas.style.width = `${Math.round(maze.width * this.scale)}px`;
+        this.canvas.style.height = `${Math.round(maze.height * this.scale)}px`;
+        this.canvas.width = Math.round(maze.width * this.scale * pixelRatio);
+        this.canvas.height = Math.round(maze.height * this.scale * pixelRatio);
+        
+        this.cellCanvas.width = maze.width;
+        this.cellCanvas.height = maze.height;
+        this.imageData = this.cellCtx.createImageData(maze.width, maze.height);
+        this.pixels = new Uint32Array(this.imageData.data.buffer);
+        this.lastDrawTime = 0;
+    }
+    
+    /**
+     * Draw the minimap (throttled to redrawInterval)
+     */
+    render(maze, exploration, player, cellSize, time) {
+        if (time - this.lastDrawTime < this.redrawInterval) return;
+        this.lastDrawTime = time;
+        
+        // Remembered cells into the one-pixel-per-cell buffer
+        for (let y = 0; y < maze.height; y++) {
+            for (let x = 0; x < maze.width; x++) {
+                const index = y * maze.width + x;
+                if (!exploration.isRemembered(x, y, time)) {
+                    this.pixels[index] = 0;
+                } else {
+                    this.pixels[index] = maze.isWall(x, y) ? COLORS.wall : COLORS.path;
+                }
+            }
+        }
+        this.cellCtx.putImageData(this.imageData, 0, 0);
+        
+        // Scale the cells up to the minimap
+        const ctx = this.ctx;
+        const cellPixels = this.canvas.width / maze.width;
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(this.cellCanvas, 0, 0, this.canvas.width, this.canvas.height);
+        
+        // Exit, once it has been seen
+        const exitPos = maze.getExitPosition();
+        if (exploration.isExplored(exitPos.x, exitPos.y)) {
+            this.renderMarker(exitPos.x + 0.5, exitPos.y + 0.5, cellPixels, COLORS.exit);
+        }
+        
+        // Player
+        this.renderMarker(player.x / cellSize, player.y / cellSize, cellPixels, COLORS.player);
+    }
+    
+    /**
+     * Draw a dot at a position given in cells, never smaller than a few pixels
+     */
+    renderMarker(cellX, cellY, cellPixels, color) {
+        const radius = Math.max(cellPixels * 0.6, 2.5 * (window.devicePixelRatio || 1));
+        
+        this.ctx.fillStyle = color;
+        this.ctx.beginPath();
+        this.ctx.arc(cellX * cellPixels, cellY * cellPixels, radius, 0, Math.PI * 2);
+        this.ctx.fill();
+    }
+}
@@ -0,0 +1,64 @@
+/**
+ * Player Preferences
+ * Input and display options from the settings screen, saved in localStorage
+ */
+
+const STORAGE_KEY = 'shadowMaze.preferences';
+
+export const DEFAULT_PREFERENCES = {
+    swipeThreshold: 30,    // CSS pixels a finger must travel before a swipe counts
+    haptics: true,         // vibrate on swipes, where the device supports it
+    showDpad: true,        // on-screen d-pad on touch devices
+    gamepadDeadZone: 0.35  // analog stick travel ignored around the centre (0-1)
+};
+
+export class Preferences {
+    constructor() {
+        this.values = { ...DEFAULT_PREFERENCES };
+        this.load();
+    }
+    
+    /**
+     * Read saved preferences, ignoring unknown or mistyped values
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            if (saved && typeof saved === 'object') {
+                for (const [name, value] of Object.entries(DEFAULT_PREFERENCES)) {
+                    if (typeof saved[name] === typeof value) {
+                        this.values[name] = saved[name];
+                    }
+                }
+            }
+        } catch (error) {
+            console.warn('Could not load preferences:', error);
+        }
+    }
+    
+    /**
+     * Write the preferences to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.values));
+        } catch (error) {
+            console.warn('Could not save preferences:', error);
+        }
+    }
+    
+    /**
+     * Get a preference
+     */
+    get(name) {
+        return this.values[name];
+    }
+    
+    /**
+     * Change a preference and save it
+     */
+    set(name, value) {
+        this.values[name] = value;
+        this.save();
+    }
+}
@@ -0,0 +1,355 @@
+/**
+ * Run Recording and Replay
+ * Records a run as its maze plus timestamped inputs, and rebuilds the player's
+ * position at any moment of the run for playback
+ *
+ * Replay JSON:
+ * {
+ *   version, recordedAt,
+ *   maze: { code, seed, width, height, algorithm, grid: ["111...", ...], locks: [{ key, door }, ...] },
+ *   settings: { difficulty, lightRadius, moveDuration, timeLimit, hintTimeCost, hintSteps, memoryFade,
+ *               enemyCount, enemyPatrolStep, enemyChaseStep, enemySightRange, enemyLightRange, enemyEmberRange,
+ *               clockBonus, torches, flares, emberRadius, fuelCapacity, oilRefill, sprintSpeed, sprintFuelCost },
+ *   events: [[ms since start, 'U' | 'D' | 'L' | 'R' (lowercase when sprinting) | 'H' | 'F'], ...],
+ *   result: { victory, elapsed, timeRemaining, hintsUsed } | null
+ * }
+ * Replays from older versions are brought up to date by migrateReplay
+ */
+
+import { EnemySimulation, PlayerTrack } from '@shared/maze/enemies';
+import { Inventory } from '@shared/maze/items';
+import { Lantern } from '@shared/maze/lantern';
+import { LightTrack } from '@shared/maze/light';
+import { MazeGenerator } from '@shared/maze/maze';
+import { DIRECTION_CODES, FLARE_EVENT, HINT_EVENT, MOVE_CODE_OFFSETS, SPRINT_CODES, easeMove, getMoveDuration, isSprintCode } from '@shared/maze/movement';
+import { DIFFICULTY_RULES } from '@shared/maze/rules';
+
+// 2: shadow creatures (enemy settings)
+// 3: keys, locked doors and clocks (maze.locks, clockBonus)
+// 4: torches and flares (torches, flares, 'F' events)
+// 5: lantern fuel, oil and sprinting (emberRadius, fuel settings, enemyEmberRange, sprint moves)
+export const REPLAY_VERSION = 5;
+
+/**
+ * Encode a maze grid as one string of cell values per row
+ */
+function encodeGrid(grid) {
+    return grid.map(row => row.join(''));
+}
+
+/**
+ * Decode rows of cell values back into a grid
+ */
+function decodeGrid(rows) {
+    return rows.map(row => Array.from(row, value => parseInt(value, 10)));
+}
+
+export class RunRecorder {
+    constructor() {
+        this.replay = null;
+        this.startTime = 0;
+    }
+    
+    /**
+     * Begin recording a run on a freshly generated maze
+     */
+    start(maze, mazeCode, settings, time) {
+        this.startTime = time;
+        this.replay = {
+            version: REPLAY_VERSION,
+            recordedAt: new Date(time).toISOString(),
+            maze: {
+                code: mazeCode,
+                seed: maze.getSeed(),
+                width: maze.width,
+                height: maze.height,
+                algorithm: maze.algorithm,
+                grid: encodeGrid(maze.getGrid()),
+                locks: maze.locks.map(lock => ({ key: { ...lock.key }, door: { ...lock.door } }))
+            },
+            settings: { ...settings },
+            events: [],
+            result: null
+        };
+    }
+    
+    /**
+     * Record the start of a one-cell move ('up', 'down', 'left' or 'right'), walking or sprinting
+     */
+    recordMove(direction, time, sprinting = false) {
+        this.recordEvent((sprinting ? SPRINT_CODES : DIRECTION_CODES)[direction], time);
+    }
+    
+    /**
+     * Record a hint being used
+     */
+    recordHint(time) {
+        this.recordEvent(HINT_EVENT, time);
+    }
+    
+    /**
+     * Record a flare being dropped
+     */
+    recordFlare(time) {
+        this.recordEvent(FLARE_EVENT, time);
+    }
+    
+    /**
+     * Append an event with its time since the run started
+     */
+    recordEvent(code, time) {
+        if (!this.replay || this.replay.result) return;
+        this.replay.events.push([Math.round(time - this.startTime), code]);
+    }
+    
+    /**
+     * Stop recording and attach the outcome
+     */
+    finish(result) {
+        if (!this.replay) return;
+        this.replay.result = {
+            victory: result.victory,
+            elapsed: result.elapsed,
+            timeRemaining: result.timeRemaining,
+            hintsUsed: result.hintsUsed
+        };
+    }
+    
+    /**
+     * Get the recorded replay (null before the first run)
+     */
+    getReplay() {
+        return this.replay;
+    }
+}
+
+/**
+ * Check an imported replay has everything playback needs
+ * Returns an error message, or null when the replay is usable
+ */
+export function validateReplay(replay) {
+    if (!replay || typeof replay !== 'object') {
+        return 'Not a replay file';
+    }
+    if (!Number.isInteger(replay.version) || replay.version < 1 || replay.version > REPLAY_VERSION) {
+        return `Unsupported replay version: ${replay.version}`;
+    }
+    
+    const maze = replay.maze;
+    if (!maze || !Array.isArray(maze.grid) || maze.grid.length !== maze.height ||
+        maze.grid.some(row => typeof row !== 'string' || row.length !== maze.width) ||
+        (replay.version >= 3 && !Array.isArray(maze.locks))) {
+        return 'Replay maze is damaged';
+    }
+    if (!replay.settings || !(replay.settings.moveDuration > 0) ||
+        !Object.hasOwn(DIFFICULTY_RULES, replay.settings.difficulty)) {
+        return 'Replay settings are missing';
+    }
+    if (!Array.isArray(replay.events) || replay.events.some(event =>
+        !Array.isArray(event) || typeof event[0] !== 'number' ||
+        !(Object.hasOwn(MOVE_CODE_OFFSETS, event[1]) || event[1] === HINT_EVENT || event[1] === FLARE_EVENT))) {
+        return 'Replay events are damaged';
+    }
+    
+    return null;
+}
+
+/**
+ * Bring a valid replay from an older version up to the current format,
+ * filling in what the game played with before each change
+ */
+export function migrateReplay(replay) {
+    const settings = { ...replay.settings };
+    if (replay.version < 2) {
+        settings.enemyCount = 0;
+    }
+    let maze = replay.maze;
+    if (replay.version < 3) {
+        maze = { ...maze, locks: [] };
+        settings.clockBonus = 0;
+    }
+    if (replay.version < 4) {
+        settings.torches = 0;
+        settings.flares = 0;
+    }
+    if (replay.version < 5) {
+        // A lantern that never runs down, so its ember range never comes into play
+        settings.emberRadius = settings.lightRadius;
+        settings.fuelCapacity = 0;
+        settings.oilRefill = 0;
+        settings.sprintSpeed = 1;
+        settings.sprintFuelCost = 0;
+        settings.enemyEmberRange = DIFFICULTY_RULES[settings.difficulty].enemyEmberRange;
+    }
+    return { ...replay, version: REPLAY_VERSION, maze, settings };
+}
+
+/**
+ * Rebuild the exact maze a replay was recorded on
+ */
+export function createMazeFromReplay(replay) {
+    const { seed, width, height, algorithm, grid, locks } = replay.maze;
+    const maze = new MazeGenerator(width, height, seed, algorithm);
+    maze.grid = decodeGrid(grid);
+    maze.locks = locks;
+    return maze;
+}
+
+export class ReplayPlayer {
+    constructor(replay, maze) {
+        this.replay = replay;
+        this.moveDuration = replay.settings.moveDuration;
+        this.sprintSpeed = replay.settings.sprintSpeed;
+        this.startPos = maze.getStartPosition();
+        
+        // Turn move events into cell-to-cell moves with their start times and lengths,
+        // noting what was picked up and what burnt or refilled the lantern on the way
+        this.moves = [];
+        this.hints = [];
+        this.flares = []; // { time, cell } of each flare dropped
+        this.pickups = [];
+        this.fuelEvents = []; // { time, kind: 'sprint' | 'oil' }, in the order the lantern sees them
+        const inventory = new Inventory(maze);
+        let cell = { ...this.startPos };
+        for (const [time, code] of replay.events) {
+            if (code === HINT_EVENT) {
+                this.hints.push({ time, from: { ...cell } });
+                continue;
+            }
+            if (code === FLARE_EVENT) {
+                this.flares.push({ time, cell: { ...cell } });
+                continue;
+            }
+            
+            const offset = MOVE_CODE_OFFSETS[code];
+            const to = { x: cell.x + offset.x, y: cell.y + offset.y };
+            const duration = getMoveDuration(code, this.moveDuration, this.sprintSpeed);
+            this.moves.push({ time, from: cell, to, duration });
+            cell = to;
+            
+            if (isSprintCode(code)) {
+                this.fuelEvents.push({ time, kind: 'sprint' });
+            }
+            const pickup = inventory.collect(to.x, to.y);
+            if (pickup) {
+                this.pickups.push({ time, cell: to, pickup });
+                if (pickup.kind === 'oil') {
+                    this.fuelEvents.push({ time, kind: 'oil' });
+                }
+            }
+        }
+        
+        const lastMove = this.moves[this.moves.length - 1];
+        const lastMoveEnd = lastMove ? lastMove.time + lastMove.duration : 0;
+        const recordedEnd = replay.result ? replay.result.elapsed * 1000 : 0;
+        this.duration = Math.max(lastMoveEnd, recordedEnd);
+        
+        // The lantern's fuel over the whole run
+        this.lantern = new Lantern(replay.settings);
+        for (const { time, kind } of this.fuelEvents) {
+            if (kind === 'sprint') {
+                this.lantern.sprint(time);
+            } else {
+                this.lantern.refill(time);
+            }
+        }
+        
+        // Shadow creatures are re-simulated from the maze, the moves and the player's light
+        this.maze = maze;
+        this.track = PlayerTrack.fromEvents(this.startPos, this.moveDuration, replay.events, this.sprintSpeed);
+        this.light = new LightTrack(replay.settings, this.lantern);
+        for (const { time, cell } of this.flares) {
+            this.light.addFlare(time, cell);
+        }
+        this.enemySimulation = null;
+    }
+    
+    /**
+     * Get the shadow creatures as they were at a time in ms
+     */
+    getEnemiesAt(time) {
+        // Creatures only run forwards, so start over when seeking back
+        if (!this.enemySimulation || time < this.enemySimulation.time) {
+            this.enemySimulation = new EnemySimulation(this.maze, this.replay.settings, this.track, this.light);
+        }
+        this.enemySimulation.advance(time);
+        return this.enemySimulation.enemies;
+    }
+    
+    /**
+     * Get what the player had picked up by a time in ms
+     */
+    getInventoryAt(time) {
+        const inventory = new Inventory(this.maze);
+        for (const { time: pickupTime, cell } of this.pickups) {
+            if (pickupTime > time) break;
+            inventory.collect(cell.x, cell.y);
+        }
+        return inventory;
+    }
+    
+    /**
+     * Get the player's position (in fractional cells, cell centers at .5) at a time in ms
+     */
+    getPositionAt(time) {
+        // Last move that started at or before this time (binary search)
+        let low = 0;
+        let high = this.moves.length - 1;
+        let index = -1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (this.moves[mid].time <= time) {
+                index = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        
+        if (index === -1) {
+            return { x: this.startPos.x + 0.5, y: this.startPos.y + 0.5 };
+        }
+        
+        const move = this.moves[index];
+        const progress = Math.min((time - move.time) / move.duration, 1);
+        
+        // Same easing as live movement
+        const easeProgress = easeMove(progress);
+        
+        return {
+            x: move.from.x + (move.to.x - move.from.x) * easeProgress + 0.5,
+            y: move.from.y + (move.to.y - move.from.y) * easeProgress + 0.5
+        };
+    }
+    
+    /**
+     * Share of a full lantern left at a time in ms
+     */
+    getFuelLevelAt(time) {
+        return this.lantern.levelAt(time);
+    }
+    
+    /**
+     * Count hints used up to a time in ms
+     */
+    getHintsUsedAt(time) {
+        return this.hints.filter(hint => hint.time <= time).length;
+    }
+    
+    /**
+     * Get hints used in the time window (from, to]
+     */
+    getHintsBetween(from, to) {
+        return this.hints.filter(hint => hint.time > from && hint.time <= to);
+    }
+    
+    /**
+     * Seconds left on the clock at a time in ms
+     */
+    getTimeRemainingAt(time) {
+        const settings = this.replay.settings;
+        const hintCost = this.getHintsUsedAt(time) * settings.hintTimeCost;
+        const clockBonus = this.getInventoryAt(time).clocks.size * settings.clockBonus;
+        return Math.max(0, settings.timeLimit - Math.floor(time / 1000) - hintCost + clockBonus);
+    }
+}
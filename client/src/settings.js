@@ -0,0 +1,217 @@
+/**
+ * Settings Screen
+ * Rebinding of keyboard controls (several keys per action, conflict warnings,
+ * reset to defaults) plus touch and gamepad preferences.
+ * Changes are saved as soon as they are made
+ */
+
+import { ACTION_LABELS } from './keyBindings.js';
+
+export class SettingsScreen {
+    constructor(element, controls, preferences, onChange = () => {}) {
+        this.element = element;
+        this.controls = controls;
+        this.bindings = controls.bindings;
+        this.preferences = preferences;
+        this.onChange = onChange; // called whenever a setting changes
+        
+        this.bindingList = element.querySelector('.binding-list');
+        this.messageDisplay = element.querySelector('.binding-message');
+        
+        this.capturingAction = null; // action waiting for a key press
+        this.pendingConflict = null; // { action, key, from } awaiting confirmation
+        
+        this.setupEvents();
+        this.render();
+        
+        // Key labels can change once the keyboard layout is known
+        this.bindings.layoutReady.then(() => this.changed());
+    }
+    
+    /**
+     * Wire up the screen's buttons
+     */
+    setupEvents() {
+        this.element.querySelector('.reset-bindings-button').addEventListener('click', () => {
+            this.cancelCapture();
+            this.bindings.reset();
+            this.showMessage('Controls reset to defaults / 已恢復預設按鍵');
+            this.changed();
+        });
+        
+        // Preference inputs are matched to preferences by data-preference
+        for (const input of this.element.querySelectorAll('[data-preference]')) {
+            const name = input.dataset.preference;
+            if (input.type === 'checkbox') {
+                input.checked = this.preferences.get(name);
+            } else {
+                input.value = this.preferences.get(name);
+            }
+            this.showPreferenceValue(name);
+            
+            input.addEventListener(input.type === 'checkbox' ? 'change' : 'input', () => {
+                const value = input.type === 'checkbox' ? input.checked : parseFloat(input.value);
+                this.preferences.set(name, value);
+                this.showPreferenceValue(name);
+                this.onChange();
+            });
+        }
+    }
+    
+    /**
+     * Show a slider's current value next to it
+     */
+    showPreferenceValue(name) {
+        const output = this.element.querySelector(`[data-preference-value="${name}"]`);
+        if (output) {
+            output.textContent = this.preferences.get(name);
+        }
+    }
+    
+    /**
+     * Rebuild the list of actions and their keys
+     */
+    render() {
+        this.bindingList.innerHTML = '';
+        
+        for (const [action, label] of Object.entries(ACTION_LABELS)) {
+            const row = document.createElement('div');
+            row.className = 'binding-row';
+            
+            const name = document.createElement('span');
+            name.className = 'binding-action';
+            name.textContent = label;
+            row.appendChild(name);
+            
+            const keys = document.createElement('div');
+            keys.className = 'binding-keys';
+            for (const key of this.bindings.getKeys(action)) {
+                const chip = document.createElement('button');
+                chip.className = 'binding-key';
+                chip.textContent = `${this.bindings.describeKey(key)} ×`;
+                chip.title = `Remove ${key} / 移除`;
+                chip.addEventListener('click', () => this.removeKey(action, key));
+                keys.appendChild(chip);
+            }
+            if (this.bindings.getKeys(action).length === 0) {
+                const unbound = document.createElement('span');
+                unbound.className = 'binding-unbound';
+                unbound.textContent = 'Unbound / 未設定';
+                keys.appendChild(unbound);
+            }
+            row.appendChild(keys);
+            
+            const addButton = document.createElement('button');
+            addButton.className = 'back-button binding-add';
+            addButton.textContent = this.capturingAction === action ? 'Press a key… / 請按鍵' : '+ Add / 新增';
+            addButton.addEventListener('click', () => this.startCapture(action));
+            row.appendChild(addButton);
+            
+            this.bindingList.appendChild(row);
+        }
+    }
+    
+    /**
+     * Wait for the next key press and bind it to an action
+     */
+    startCapture(action) {
+        this.capturingAction = action;
+        this.pendingConflict = null;
+        this.showMessage('Press the new key, or Esc to cancel / 請按新按鍵，Esc 取消');
+        this.controls.captureNextKey(key => this.handleCapturedKey(action, key));
+        this.render();
+    }
+    
+    /**
+     * Stop waiting for a key press
+     */
+    cancelCapture() {
+        this.controls.cancelKeyCapture();
+        this.capturingAction = null;
+        this.pendingConflict = null;
+    }
+    
+    /**
+     * Bind a captured key, asking for confirmation if another action already uses it
+     */
+    handleCapturedKey(action, key) {
+        if (key === 'Escape') {
+            this.cancelCapture();
+            this.showMessage('');
+            this.render();
+            return;
+        }
+        
+        const keyName = this.bindings.describeKey(key);
+        const owner = this.bindings.getAction(key);
+        
+        if (owner === action) {
+            this.cancelCapture();
+            this.showMessage(`${keyName} is already bound here / ${keyName} 已在此設定`);
+            this.render();
+            return;
+        }
+        
+        // Conflict: the first press warns, pressing the same key again moves it
+        const confirmed = this.pendingConflict && this.pendingConflict.key === key;
+        if (owner && !confirmed) {
+            this.pendingConflict = { action, key, from: owner };
+            this.showMessage(`${keyName} is used by ${ACTION_LABELS[owner]} - press it again to move it, or pick another key / ` +
+                `${keyName} 已被使用，再按一次以改綁`, true);
+            this.controls.captureNextKey(next => this.handleCapturedKey(action, next));
+            return;
+        }
+        
+        this.bindings.addKey(action, key);
+        this.cancelCapture();
+        
+        if (owner) {
+            const unbound = this.bindings.getKeys(owner).length === 0;
+            this.showMessage(`${keyName} moved from ${ACTION_LABELS[owner]}` +
+                (unbound ? ` - ${ACTION_LABELS[owner]} now has no key / 該動作已無按鍵` : ''), unbound);
+        } else {
+            this.showMessage(`${keyName} → ${ACTION_LABELS[action]}`);
+        }
+        this.changed();
+    }
+    
+    /**
+     * Unbind a key, warning when the action is left without one
+     */
+    removeKey(action, key) {
+        this.cancelCapture();
+        this.bindings.removeKey(action, key);
+        
+        if (this.bindings.getKeys(action).length === 0) {
+            this.showMessage(`${ACTION_LABELS[action]} has no key / 此動作已無按鍵`, true);
+        } else {
+            this.showMessage('');
+        }
+        this.changed();
+    }
+    
+    /**
+     * Leave the screen without finishing a rebind
+     */
+    close() {
+        this.cancelCapture();
+        this.showMessage('');
+        this.render();
+    }
+    
+    /**
+     * Show a status line under the list (warnings in a stronger colour)
+     */
+    showMessage(text, warning = false) {
+        this.messageDisplay.textContent = text;
+        this.messageDisplay.classList.toggle('warning', warning);
+    }
+    
+    /**
+     * Redraw and tell the game
+     */
+    changed() {
+        this.render();
+        this.onChange();
+    }
+}
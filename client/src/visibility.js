@@ -0,0 +1,106 @@
+/**
+ * Grid Visibility
+ * Casts rays through the maze grid with DDA (one step per cell boundary)
+ * and builds the visibility polygon plus the set of cells a light can see
+ */
+
+export class Visibility {
+    constructor(maze) {
+        this.maze = maze;
+        this.polygon = []; // world-space points of the lit area, in angle order
+        this.visibleCells = new Uint8Array(maze.width * maze.height);
+        this.cellList = []; // indices (y * width + x) of visible cells
+    }
+    
+    /**
+     * Recompute what can be seen from a world position within a radius
+     */
+    compute(originX, originY, radius, cellSize, rayCount = 360) {
+        this.visibleCells.fill(0);
+        this.cellList = [];
+        this.polygon = [];
+        
+        const startX = originX / cellSize;
+        const startY = originY / cellSize;
+        const maxDistance = radius / cellSize;
+        
+        // The cell holding the light is always visible
+        this.markVisible(Math.floor(startX), Math.floor(startY));
+        
+        for (let i = 0; i < rayCount; i++) {
+            const angle = (i / rayCount) * Math.PI * 2;
+            const distance = this.castRay(startX, startY, Math.cos(angle), Math.sin(angle), maxDistance);
+            
+            this.polygon.push({
+                x: originX + Math.cos(angle) * distance * cellSize,
+                y: originY + Math.sin(angle) * distance * cellSize
+            });
+        }
+        
+        return this;
+    }
+    
+    /**
+     * March a ray cell by cell (DDA) until it hits a wall or runs out of range
+     * Works in cell units; returns the distance travelled
+     */
+    castRay(startX, startY, dirX, dirY, maxDistance) {
+        let cellX = Math.floor(startX);
+        let cellY = Math.floor(startY);
+        
+        const stepX = dirX > 0 ? 1 : -1;
+        const stepY = dirY > 0 ? 1 : -1;
+        
+        // Distance along the ray to cross one whole cell on each axis
+        const deltaX = dirX === 0 ? Infinity : Math.abs(1 / dirX);
+        const deltaY = dirY === 0 ? Infinity : Math.abs(1 / dirY);
+        
+        // Distance along the ray to the first cell boundary on each axis
+        let nextX = dirX === 0 ? Infinity : (dirX > 0 ? cellX + 1 - startX : startX - cellX) * deltaX;
+        let nextY = dirY === 0 ? Infinity : (dirY > 0 ? cellY + 1 - startY : startY - cellY) * deltaY;
+        
+        for (;;) {
+            let distance;
+            if (nextX < nextY) {
+                distance = nextX;
+                nextX += deltaX;
+                cellX += stepX;
+            } else {
+                distance = nextY;
+                nextY += deltaY;
+                cellY += stepY;
+            }
+            
+            if (distance >= maxDistance) {
+                return maxDistance;
+            }
+            
+            this.markVisible(cellX, cellY);
+            
+            if (this.maze.isWall(cellX, cellY)) {
+                return distance;
+            }
+        }
+    }
+    
+    /**
+     * Mark a cell as seen this frame
+     */
+    markVisible(x, y) {
+        if (x < 0 || x >= this.maze.width || y < 0 || y >= this.maze.height) return;
+        
+        const index = y * this.maze.width + x;
+        if (!this.visibleCells[index]) {
+            this.visibleCells[index] = 1;
+            this.cellList.push(index);
+        }
+    }
+    
+    /**
+     * Check if a cell was seen in the last compute()
+     */
+    isVisible(x, y) {
+        if (x < 0 || x >= this.maze.width || y < 0 || y >= this.maze.height) return false;
+        return this.visibleCells[y * this.maze.width + x] === 1;
+    }
+}
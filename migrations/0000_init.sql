@@ -0,0 +1,43 @@
+CREATE TABLE "daily_attempts" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"date" text NOT NULL,
+	"player_id" text NOT NULL,
+	"started_at" timestamp DEFAULT now() NOT NULL,
+	"finished_at" timestamp,
+	"victory" boolean,
+	"elapsed" double precision,
+	"hints_used" integer,
+	CONSTRAINT "daily_attempts_date_player" UNIQUE("date","player_id")
+);
+--> statement-breakpoint
+CREATE TABLE "scores" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"player_id" text NOT NULL,
+	"user_id" integer,
+	"difficulty" text NOT NULL,
+	"maze_code" text NOT NULL,
+	"seed" bigint NOT NULL,
+	"elapsed" double precision NOT NULL,
+	"time_remaining" integer NOT NULL,
+	"par_time" double precision NOT NULL,
+	"hints_used" integer NOT NULL,
+	"created_at" timestamp (3) DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE "session" (
+	"sid" varchar PRIMARY KEY NOT NULL,
+	"sess" json NOT NULL,
+	"expire" timestamp (6) NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE "users" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"username" text NOT NULL,
+	"password" text NOT NULL,
+	CONSTRAINT "users_username_unique" UNIQUE("username")
+);
+--> statement-breakpoint
+ALTER TABLE "scores" ADD CONSTRAINT "scores_user_id_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "scores_difficulty_elapsed" ON "scores" USING btree ("difficulty","elapsed");--> statement-breakpoint
+CREATE INDEX "scores_maze_code_elapsed" ON "scores" USING btree ("maze_code","elapsed");--> statement-breakpoint
+CREATE INDEX "IDX_session_expire" ON "session" USING btree ("expire");
\ No newline at end of file
@@ -0,0 +1,11 @@
+CREATE TABLE "campaign_progress" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"user_id" integer NOT NULL,
+	"level_id" integer NOT NULL,
+	"stars" integer NOT NULL,
+	"best_elapsed" double precision NOT NULL,
+	"updated_at" timestamp DEFAULT now() NOT NULL,
+	CONSTRAINT "campaign_progress_user_level" UNIQUE("user_id","level_id")
+);
+--> statement-breakpoint
+ALTER TABLE "campaign_progress" ADD CONSTRAINT "campaign_progress_user_id_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;
\ No newline at end of file
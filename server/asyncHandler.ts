@@ -0,0 +1,13 @@
+import type { NextFunction, Request, RequestHandler, Response } from "express";
+
+/**
+ * Wrap an async route handler so a rejected promise reaches the error
+ * middleware instead of going unhandled (Express 4 ignores returned promises)
+ */
+export function asyncHandler(
+  handler: (req: Request, res: Response, next: NextFunction) => Promise<unknown>,
+): RequestHandler {
+  return (req, res, next) => {
+    handler(req, res, next).catch(next);
+  };
+}
@@ -0,0 +1,162 @@
+import type { Express, Request } from "express";
+import session from "express-session";
+import passport from "passport";
+import { Strategy as LocalStrategy } from "passport-local";
+import { randomBytes, scrypt, timingSafeEqual } from "crypto";
+import { promisify } from "util";
+import { fromZodError } from "zod-validation-error";
+import { asyncHandler } from "./asyncHandler";
+import { storage } from "./storage";
+import { log } from "./vite";
+import { registerUserSchema, type User as SelectUser } from "@shared/schema";
+
+declare global {
+  namespace Express {
+    interface User extends SelectUser {}
+  }
+}
+
+const scryptAsync = promisify(scrypt) as (password: string, salt: string, keylen: number) => Promise<Buffer>;
+
+const SESSION_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+const KEY_LENGTH = 64;
+
+/**
+ * Hash a password with a random salt, stored as "<hash>.<salt>" in hex
+ */
+export async function hashPassword(password: string): Promise<string> {
+  const salt = randomBytes(16).toString("hex");
+  const hash = await scryptAsync(password, salt, KEY_LENGTH);
+  return `${hash.toString("hex")}.${salt}`;
+}
+
+/**
+ * Check a password against a stored "<hash>.<salt>" value
+ */
+export async function verifyPassword(password: string, stored: string): Promise<boolean> {
+  const [hash, salt] = stored.split(".");
+  if (!hash || !salt) return false;
+
+  const expected = Buffer.from(hash, "hex");
+  const actual = await scryptAsync(password, salt, expected.length);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+/**
+ * A user as sent to the client (never includes the password hash)
+ */
+export function toPublicUser(user: SelectUser) {
+  return { id: user.id, username: user.username };
+}
+
+/**
+ * Key a signed-in account's scores and daily attempts are stored under
+ */
+export function getUserKey(user: SelectUser): string {
+  return `user:${user.id}`;
+}
+
+/**
+ * Key that scores are stored under: the signed-in account,
+ * or the anonymous id the browser sent
+ */
+export function getPlayerKey(req: Request, anonymousId: string): string {
+  return req.user ? getUserKey(req.user) : anonymousId;
+}
+
+export function setupAuth(app: Express) {
+  let secret = process.env.SESSION_SECRET;
+  if (!secret) {
+    secret = randomBytes(32).toString("hex");
+    log("SESSION_SECRET is not set, sessions will not survive a restart", "auth");
+  }
+
+  app.set("trust proxy", 1);
+  app.use(session({
+    secret,
+    resave: false,
+    saveUninitialized: false,
+    store: storage.sessionStore,
+    cookie: {
+      maxAge: SESSION_MAX_AGE,
+      sameSite: "lax",
+      secure: app.get("env") === "production" ? "auto" : false,
+    },
+  }));
+  app.use(passport.initialize());
+  app.use(passport.session());
+
+  passport.use(new LocalStrategy(async (username, password, done) => {
+    try {
+      const user = await storage.getUserByUsername(username);
+      if (!user || !(await verifyPassword(password, user.password))) {
+        return done(null, false, { message: "Wrong username or password" });
+      }
+      return done(null, user);
+    } catch (error) {
+      return done(error);
+    }
+  }));
+
+  passport.serializeUser((user, done) => done(null, user.id));
+  passport.deserializeUser(async (id: number, done) => {
+    try {
+      done(null, (await storage.getUser(id)) ?? false);
+    } catch (error) {
+      done(error);
+    }
+  });
+
+  app.post("/api/register", asyncHandler(async (req, res, next) => {
+    const parsed = registerUserSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ message: fromZodError(parsed.error).message });
+    }
+
+    if (await storage.getUserByUsername(parsed.data.username)) {
+      return res.status(409).json({ message: "Username is already taken" });
+    }
+
+    // Still undefined if someone else took the name while the password was hashing
+    const user = await storage.createUser({
+      username: parsed.data.username,
+      password: await hashPassword(parsed.data.password),
+    });
+    if (!user) {
+      return res.status(409).json({ message: "Username is already taken" });
+    }
+
+    req.login(user, (error) => {
+      if (error) return next(error);
+      res.status(201).json(toPublicUser(user));
+    });
+  }));
+
+  app.post("/api/login", (req, res, next) => {
+    passport.authenticate("local", (error: unknown, user: SelectUser | false, info?: { message: string }) => {
+      if (error) return next(error);
+      if (!user) {
+        return res.status(401).json({ message: info?.message ?? "Wrong username or password" });
+      }
+
+      req.login(user, (loginError) => {
+        if (loginError) return next(loginError);
+        res.json(toPublicUser(user));
+      });
+    })(req, res, next);
+  });
+
+  app.post("/api/logout", (req, res, next) => {
+    req.logout((error) => {
+      if (error) return next(error);
+      res.sendStatus(204);
+    });
+  });
+
+  app.get("/api/me", (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ message: "Not signed in" });
+    }
+    res.json(toPublicUser(req.user));
+  });
+}
@@ -0,0 +1,77 @@
+import { createHash } from "crypto";
+import { MAZE_ALGORITHMS } from "@shared/maze/mazeAlgorithms";
+import { encodeMazeCode } from "@shared/maze/mazeCode";
+import { DIFFICULTY_RULES, difficulties, type Difficulty } from "@shared/maze/rules";
+
+const DAILY_ALGORITHMS = Object.keys(MAZE_ALGORITHMS);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export interface DailyChallenge {
+  date: string;
+  seed: number;
+  algorithm: string;
+  difficulty: Difficulty;
+  width: number;
+  height: number;
+  endsAt: string;
+}
+
+/**
+ * UTC day of a moment, as YYYY-MM-DD
+ */
+export function getDailyDate(now: Date = new Date()): string {
+  return now.toISOString().slice(0, 10);
+}
+
+/**
+ * The challenge for the UTC day containing `now`
+ * Everything is derived from a hash of the date, so every server agrees without storing it
+ */
+export function getDailyChallenge(now: Date = new Date()): DailyChallenge {
+  const date = getDailyDate(now);
+  const hash = createHash("sha256").update(`shadow-maze-daily:${date}`).digest();
+
+  const difficulty = difficulties[hash[4] % difficulties.length];
+  const rules = DIFFICULTY_RULES[difficulty];
+  const endsAt = new Date(Date.parse(`${date}T00:00:00Z`) + DAY_MS);
+
+  return {
+    date,
+    seed: hash.readUInt32BE(0),
+    algorithm: DAILY_ALGORITHMS[hash[5] % DAILY_ALGORITHMS.length],
+    difficulty,
+    width: rules.mazeWidth,
+    height: rules.mazeHeight,
+    endsAt: endsAt.toISOString(),
+  };
+}
+
+/**
+ * The challenge of an earlier (or the current) UTC day, by its YYYY-MM-DD date
+ */
+export function getDailyChallengeFor(date: string): DailyChallenge {
+  return getDailyChallenge(new Date(`${date}T00:00:00Z`));
+}
+
+/**
+ * Maze code of a challenge, as the game builds it (the algorithm only when it isn't the difficulty's own)
+ */
+export function getDailyMazeCode(challenge: DailyChallenge): string {
+  const { difficulty, width, height, seed, algorithm } = challenge;
+  return encodeMazeCode({
+    difficulty,
+    width,
+    height,
+    seed,
+    algorithm: algorithm !== DIFFICULTY_RULES[difficulty].algorithm ? algorithm : undefined,
+  });
+}
+
+/**
+ * Whether a seed is today's or yesterday's challenge (an attempt started before midnight can end after it)
+ */
+export function isRecentDailySeed(seed: number, now: Date = new Date()): boolean {
+  return seed === getDailyChallenge(now).seed ||
+    seed === getDailyChallenge(new Date(now.getTime() - DAY_MS)).seed;
+}
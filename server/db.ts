@@ -0,0 +1,55 @@
+import path, { dirname } from "path";
+import { fileURLToPath } from "url";
+import pg from "pg";
+import { PGlite } from "@electric-sql/pglite";
+import { drizzle as drizzleNodePg } from "drizzle-orm/node-postgres";
+import { migrate as migrateNodePg } from "drizzle-orm/node-postgres/migrator";
+import { drizzle as drizzlePglite } from "drizzle-orm/pglite";
+import { migrate as migratePglite } from "drizzle-orm/pglite/migrator";
+import type { PgDatabase, PgQueryResultHKT } from "drizzle-orm/pg-core";
+import * as schema from "@shared/schema";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Works from both server/ (dev) and dist/ (production build)
+const MIGRATIONS_FOLDER = path.resolve(__dirname, "..", "migrations");
+
+const PGLITE_PREFIX = "pglite://";
+
+export type Database = PgDatabase<PgQueryResultHKT, typeof schema>;
+
+export interface DatabaseConnection {
+  db: Database;
+  pool: pg.Pool | null; // null for the embedded database
+  migrate(): Promise<void>;
+}
+
+/**
+ * Connect to the database named by a DATABASE_URL
+ * postgres:// URLs go through a connection pool. pglite:// runs an embedded
+ * Postgres inside this process, in memory (pglite://memory) or stored in a
+ * directory (pglite://./data/pglite) - handy for local play and tests.
+ */
+export function connectDatabase(url: string): DatabaseConnection {
+  if (url.startsWith(PGLITE_PREFIX)) {
+    const location = url.slice(PGLITE_PREFIX.length);
+    const client = location === "memory" ? new PGlite() : new PGlite(location);
+    const db = drizzlePglite(client, { schema });
+
+    return {
+      db,
+      pool: null,
+      migrate: () => migratePglite(db, { migrationsFolder: MIGRATIONS_FOLDER }),
+    };
+  }
+
+  const pool = new pg.Pool({ connectionString: url });
+  const db = drizzleNodePg(pool, { schema });
+
+  return {
+    db,
+    pool,
+    migrate: () => migrateNodePg(db, { migrationsFolder: MIGRATIONS_FOLDER }),
+  };
+}
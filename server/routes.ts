@@ -1,6 +1,60 @@
 import type { Express } from "express";
 import { createServer, type Server } from "http";
+import { fromZodError } from "zod-validation-error";
+import { asyncHandler } from "./asyncHandler";
 import { storage } from "./storage";
+import { setupAuth, getPlayerKey, getUserKey } from "./auth";
+import { getDailyChallenge, getDailyChallengeFor, getDailyMazeCode, isRecentDailySeed } from "./daily";
+import { calculateStars, getCampaignLevel, isLevelUnlocked } from "@shared/maze/campaign";
+import { verifyCampaignRun, verifyRun } from "@shared/maze/verify";
+import {
+  dailyAttemptParamsSchema,
+  dailyResultSchema,
+  submitScoreSchema,
+  scoreQuerySchema,
+  submitCampaignRunSchema,
+  type Score,
+  type ScoreWindow,
+} from "@shared/schema";
+
+// Slack allowed between a reported run time and the server's own clock
+const DAILY_ELAPSED_SLACK = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far back each leaderboard window reaches
+const SCORE_WINDOW_DAYS: Record<ScoreWindow, number | null> = {
+  day: 1,
+  week: 7,
+  month: 30,
+  all: null,
+};
+
+function getWindowStart(window: ScoreWindow): Date | undefined {
+  const days = SCORE_WINDOW_DAYS[window];
+  return days === null ? undefined : new Date(Date.now() - days * DAY_MS);
+}
+
+// Where a new score places on its difficulty and maze leaderboards
+async function getScoreRanks(score: Score) {
+  const [difficultyRank, mazeRank] = await Promise.all([
+    storage.getScoreRank(score, { difficulty: score.difficulty }),
+    storage.getScoreRank(score, { mazeCode: score.mazeCode }),
+  ]);
+  return { difficulty: difficultyRank, maze: mazeRank };
+}
+
+// Leaderboard rows name signed-in players and hide everyone's player key
+async function toPublicScores(scores: Score[]) {
+  const userIds = Array.from(new Set(scores.map((score) => score.userId).filter((id): id is number => id !== null)));
+  const users = await Promise.all(userIds.map((id) => storage.getUser(id)));
+  const usernames = new Map(users.filter((user) => user !== undefined).map((user) => [user.id, user.username]));
+
+  return scores.map(({ playerId, ...score }) => ({
+    ...score,
+    username: score.userId !== null ? usernames.get(score.userId) ?? null : null,
+  }));
+}
 
 export async function registerRoutes(app: Express): Promise<Server> {
   // put application routes here
@@ -9,6 +63,198 @@ export async function registerRoutes(app: Express): Promise<Server> {
   // use storage to perform CRUD operations on the storage interface
   // e.g. storage.insertUser(user) or storage.getUserByUsername(username)
 
+  // Sessions and /api/register, /api/login, /api/logout, /api/me
+  setupAuth(app);
+
+  // Today's daily challenge, plus the signed-in player's ranked attempt if they have one
+  app.get("/api/daily", asyncHandler(async (req, res) => {
+    const challenge = getDailyChallenge();
+    const attempt = req.user
+      ? await storage.getDailyAttemptForPlayer(challenge.date, getUserKey(req.user))
+      : undefined;
+
+    res.json({ ...challenge, attempt: attempt ?? null });
+  }));
+
+  // Start the signed-in player's one ranked attempt at today's challenge.
+  // Attempts belong to accounts, so a fresh anonymous id can't buy another one
+  app.post("/api/daily/attempts", asyncHandler(async (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ message: "Not signed in" });
+    }
+
+    const challenge = getDailyChallenge();
+    const playerId = getUserKey(req.user);
+    const existing = await storage.getDailyAttemptForPlayer(challenge.date, playerId);
+    if (existing) {
+      return res.status(409).json({ message: "Ranked attempt already used today", attempt: existing });
+    }
+
+    // Still undefined if a second request claimed the attempt in the meantime
+    const attempt = await storage.createDailyAttempt({ date: challenge.date, playerId });
+    if (!attempt) {
+      return res.status(409).json({
+        message: "Ranked attempt already used today",
+        attempt: await storage.getDailyAttemptForPlayer(challenge.date, playerId),
+      });
+    }
+    res.status(201).json(attempt);
+  }));
+
+  // Record how a ranked attempt ended. A win is re-played on that day's maze and
+  // goes on the leaderboards from here, once
+  app.post("/api/daily/attempts/:id/result", asyncHandler(async (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ message: "Not signed in" });
+    }
+
+    const params = dailyAttemptParamsSchema.safeParse(req.params);
+    if (!params.success) {
+      return res.status(400).json({ message: fromZodError(params.error).message });
+    }
+    const parsed = dailyResultSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ message: fromZodError(parsed.error).message });
+    }
+
+    const attempt = await storage.getDailyAttempt(params.data.id);
+    if (!attempt || attempt.playerId !== getUserKey(req.user)) {
+      return res.status(404).json({ message: "Daily attempt not found" });
+    }
+    if (attempt.finishedAt) {
+      return res.status(409).json({ message: "Daily attempt already finished" });
+    }
+
+    // A run can't have taken longer than the attempt has been open
+    const secondsOpen = (Date.now() - attempt.startedAt.getTime()) / 1000;
+    if (parsed.data.elapsed > secondsOpen + DAILY_ELAPSED_SLACK) {
+      return res.status(400).json({ message: "Run time is longer than the attempt has been open" });
+    }
+
+    const result = parsed.data;
+    const challenge = getDailyChallengeFor(attempt.date);
+    const run = {
+      playerId: attempt.playerId,
+      difficulty: challenge.difficulty,
+      mazeCode: getDailyMazeCode(challenge),
+      seed: challenge.seed,
+      elapsed: result.elapsed,
+      hintsUsed: result.hintsUsed,
+    };
+    const verdict = result.victory ? verifyRun({ ...run, events: result.events }, [challenge]) : null;
+    if (verdict && !verdict.valid) {
+      return res.status(422).json({ message: `Run rejected: ${verdict.reason}` });
+    }
+
+    // Finishing is what claims the attempt, so a second result can't add a second score
+    const finished = await storage.finishDailyAttempt(attempt.id, result);
+    if (!finished) {
+      return res.status(409).json({ message: "Daily attempt already finished" });
+    }
+    if (!verdict) {
+      return res.json({ attempt: finished, score: null, ranks: null });
+    }
+
+    const score = await storage.createScore({
+      ...run,
+      userId: req.user.id,
+      parTime: verdict.parTime,
+      timeRemaining: verdict.timeRemaining,
+    });
+    const [publicScore] = await toPublicScores([score]);
+    res.json({ attempt: finished, score: publicScore, ranks: await getScoreRanks(score) });
+  }));
+
+  // Top runs, optionally narrowed to a difficulty, maze and time window
+  app.get("/api/scores", asyncHandler(async (req, res) => {
+    const parsed = scoreQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ message: fromZodError(parsed.error).message });
+    }
+
+    const { window, limit, ...filter } = parsed.data;
+    const scores = await storage.getTopScores({ ...filter, since: getWindowStart(window) }, limit);
+    res.json(await toPublicScores(scores));
+  }));
+
+  // Submit a completed run; its input log is re-played on the maze before it is accepted.
+  // Replies with the run's rank on the difficulty and maze leaderboards
+  app.post("/api/scores", asyncHandler(async (req, res) => {
+    const parsed = submitScoreSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ message: fromZodError(parsed.error).message });
+    }
+
+    // Daily challenge runs only count through the player's one ranked attempt
+    if (isRecentDailySeed(parsed.data.seed)) {
+      return res.status(403).json({ message: "Daily challenge runs are ranked through the daily attempt" });
+    }
+
+    const verdict = verifyRun(parsed.data);
+    if (!verdict.valid) {
+      return res.status(422).json({ message: `Run rejected: ${verdict.reason}` });
+    }
+
+    const { events, ...run } = parsed.data;
+    const score = await storage.createScore({
+      ...run,
+      playerId: getPlayerKey(req, run.playerId),
+      userId: req.user?.id ?? null,
+      parTime: verdict.parTime,
+      timeRemaining: verdict.timeRemaining,
+    });
+
+    const [publicScore] = await toPublicScores([score]);
+    res.status(201).json({ score: publicScore, ranks: await getScoreRanks(score) });
+  }));
+
+  // The signed-in player's best result on each campaign level
+  app.get("/api/campaign/progress", asyncHandler(async (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ message: "Not signed in" });
+    }
+
+    res.json(await storage.getCampaignProgress(req.user.id));
+  }));
+
+  // Save a won campaign level to the signed-in player's progress; the run is
+  // re-played on the level and its stars are worked out here. Replies with the level's best result
+  app.post("/api/campaign/runs", asyncHandler(async (req, res) => {
+    if (!req.user) {
+      return res.status(401).json({ message: "Not signed in" });
+    }
+
+    const parsed = submitCampaignRunSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ message: fromZodError(parsed.error).message });
+    }
+
+    const level = getCampaignLevel(parsed.data.levelId);
+    if (!level) {
+      return res.status(404).json({ message: "Campaign level not found" });
+    }
+
+    // Levels open in order, from the stars already saved to the account
+    const progress = await storage.getCampaignProgress(req.user.id);
+    const getStars = (id: number) => progress.find((result) => result.levelId === id)?.stars ?? 0;
+    if (!isLevelUnlocked(level.id, getStars)) {
+      return res.status(403).json({ message: "Campaign level is locked" });
+    }
+
+    const verdict = verifyCampaignRun(parsed.data);
+    if (!verdict.valid) {
+      return res.status(422).json({ message: `Run rejected: ${verdict.reason}` });
+    }
+
+    const result = await storage.saveCampaignResult({
+      userId: req.user.id,
+      levelId: level.id,
+      stars: calculateStars(level, verdict.timeRemaining, verdict.timeLimit),
+      bestElapsed: parsed.data.elapsed,
+    });
+    res.status(201).json(result);
+  }));
+
   const httpServer = createServer(app);
 
   return httpServer;
@@ -1,23 +1,104 @@
-import { users, type User, type InsertUser } from "@shared/schema";
+import session from "express-session";
+import createMemoryStore from "memorystore";
+import connectPg from "connect-pg-simple";
+import { and, asc, count, eq, gte, isNull, lt, or, sql, type SQL } from "drizzle-orm";
+import {
+  users,
+  dailyAttempts,
+  scores,
+  campaignProgress,
+  type User,
+  type InsertUser,
+  type DailyAttempt,
+  type InsertDailyAttempt,
+  type DailyResult,
+  type Score,
+  type InsertScore,
+  type CampaignProgress,
+  type InsertCampaignProgress,
+} from "@shared/schema";
+import { connectDatabase, type Database, type DatabaseConnection } from "./db";
+import { log } from "./vite";
+
+const MemoryStore = createMemoryStore(session);
+const PostgresSessionStore = connectPg(session);
+
+// Which runs a leaderboard covers
+export interface ScoreFilter {
+  difficulty?: Score["difficulty"];
+  mazeCode?: string;
+  seed?: number;
+  since?: Date;
+}
+
+export interface ScoreRank {
+  rank: number;
+  total: number;
+}
+
+// Leaderboard order: fastest first, fewer hints break ties, then whoever got there first
+function compareScores(a: Score, b: Score): number {
+  return a.elapsed - b.elapsed ||
+    a.hintsUsed - b.hintsUsed ||
+    a.createdAt.getTime() - b.createdAt.getTime() ||
+    a.id - b.id;
+}
+
+function matchesFilter(score: Score, filter: ScoreFilter): boolean {
+  return (filter.difficulty === undefined || score.difficulty === filter.difficulty) &&
+    (filter.mazeCode === undefined || score.mazeCode === filter.mazeCode) &&
+    (filter.seed === undefined || score.seed === filter.seed) &&
+    (filter.since === undefined || score.createdAt >= filter.since);
+}
 
 // modify the interface with any CRUD methods
 // you might need
 
 export interface IStorage {
+  sessionStore: session.Store;
+  init(): Promise<void>;
   getUser(id: number): Promise<User | undefined>;
   getUserByUsername(username: string): Promise<User | undefined>;
-  createUser(user: InsertUser): Promise<User>;
+  // undefined when the username is taken
+  createUser(user: InsertUser): Promise<User | undefined>;
+  getDailyAttempt(id: number): Promise<DailyAttempt | undefined>;
+  getDailyAttemptForPlayer(date: string, playerId: string): Promise<DailyAttempt | undefined>;
+  // undefined when the player already has an attempt that day
+  createDailyAttempt(attempt: InsertDailyAttempt): Promise<DailyAttempt | undefined>;
+  // undefined unless the attempt exists and is still unfinished
+  finishDailyAttempt(id: number, result: DailyResult): Promise<DailyAttempt | undefined>;
+  createScore(score: InsertScore): Promise<Score>;
+  getTopScores(filter: ScoreFilter, limit: number): Promise<Score[]>;
+  getScoreRank(score: Score, filter: ScoreFilter): Promise<ScoreRank>;
+  getCampaignProgress(userId: number): Promise<CampaignProgress[]>;
+  saveCampaignResult(result: InsertCampaignProgress): Promise<CampaignProgress>;
 }
 
 export class MemStorage implements IStorage {
+  sessionStore: session.Store;
   private users: Map<number, User>;
+  private dailyAttempts: Map<number, DailyAttempt>;
+  private scores: Map<number, Score>;
+  private campaignProgress: Map<string, CampaignProgress>; // by "<userId>:<levelId>"
   currentId: number;
+  currentDailyAttemptId: number;
+  currentScoreId: number;
+  currentCampaignProgressId: number;
 
   constructor() {
+    this.sessionStore = new MemoryStore({ checkPeriod: 24 * 60 * 60 * 1000 });
     this.users = new Map();
+    this.dailyAttempts = new Map();
+    this.scores = new Map();
+    this.campaignProgress = new Map();
     this.currentId = 1;
+    this.currentDailyAttemptId = 1;
+    this.currentScoreId = 1;
+    this.currentCampaignProgressId = 1;
   }
 
+  async init(): Promise<void> {}
+
   async getUser(id: number): Promise<User | undefined> {
     return this.users.get(id);
   }
@@ -28,12 +109,232 @@ export class MemStorage implements IStorage {
     );
   }
 
-  async createUser(insertUser: InsertUser): Promise<User> {
+  async createUser(insertUser: InsertUser): Promise<User | undefined> {
+    if (await this.getUserByUsername(insertUser.username)) return undefined;
+
     const id = this.currentId++;
     const user: User = { ...insertUser, id };
     this.users.set(id, user);
     return user;
   }
+
+  async getDailyAttempt(id: number): Promise<DailyAttempt | undefined> {
+    return this.dailyAttempts.get(id);
+  }
+
+  async getDailyAttemptForPlayer(date: string, playerId: string): Promise<DailyAttempt | undefined> {
+    return Array.from(this.dailyAttempts.values()).find(
+      (attempt) => attempt.date === date && attempt.playerId === playerId,
+    );
+  }
+
+  async createDailyAttempt(insertAttempt: InsertDailyAttempt): Promise<DailyAttempt | undefined> {
+    if (await this.getDailyAttemptForPlayer(insertAttempt.date, insertAttempt.playerId)) return undefined;
+
+    const id = this.currentDailyAttemptId++;
+    const attempt: DailyAttempt = {
+      ...insertAttempt,
+      id,
+      startedAt: new Date(),
+      finishedAt: null,
+      victory: null,
+      elapsed: null,
+      hintsUsed: null,
+    };
+    this.dailyAttempts.set(id, attempt);
+    return attempt;
+  }
+
+  async finishDailyAttempt(id: number, result: DailyResult): Promise<DailyAttempt | undefined> {
+    const attempt = this.dailyAttempts.get(id);
+    if (!attempt || attempt.finishedAt) return undefined;
+
+    const finished: DailyAttempt = {
+      ...attempt,
+      finishedAt: new Date(),
+      victory: result.victory,
+      elapsed: result.elapsed,
+      hintsUsed: result.hintsUsed,
+    };
+    this.dailyAttempts.set(id, finished);
+    return finished;
+  }
+
+  async createScore(insertScore: InsertScore): Promise<Score> {
+    const id = this.currentScoreId++;
+    const score: Score = { ...insertScore, id, userId: insertScore.userId ?? null, createdAt: new Date() };
+    this.scores.set(id, score);
+    return score;
+  }
+
+  async getTopScores(filter: ScoreFilter, limit: number): Promise<Score[]> {
+    return Array.from(this.scores.values())
+      .filter((score) => matchesFilter(score, filter))
+      .sort(compareScores)
+      .slice(0, limit);
+  }
+
+  async getScoreRank(score: Score, filter: ScoreFilter): Promise<ScoreRank> {
+    const board = Array.from(this.scores.values()).filter((other) => matchesFilter(other, filter));
+    const ahead = board.filter((other) => compareScores(other, score) < 0).length;
+    return { rank: ahead + 1, total: board.length };
+  }
+
+  async getCampaignProgress(userId: number): Promise<CampaignProgress[]> {
+    return Array.from(this.campaignProgress.values())
+      .filter((progress) => progress.userId === userId)
+      .sort((a, b) => a.levelId - b.levelId);
+  }
+
+  async saveCampaignResult(result: InsertCampaignProgress): Promise<CampaignProgress> {
+    // Keep the most stars and the fastest time, even if they came from different runs
+    const key = `${result.userId}:${result.levelId}`;
+    const existing = this.campaignProgress.get(key);
+    const progress: CampaignProgress = existing
+      ? {
+        ...existing,
+        stars: Math.max(existing.stars, result.stars),
+        bestElapsed: Math.min(existing.bestElapsed, result.bestElapsed),
+        updatedAt: new Date(),
+      }
+      : { ...result, id: this.currentCampaignProgressId++, updatedAt: new Date() };
+    this.campaignProgress.set(key, progress);
+    return progress;
+  }
+}
+
+// SQL conditions matching a ScoreFilter (undefined entries are dropped by and())
+function scoreConditions(filter: ScoreFilter): SQL | undefined {
+  return and(
+    filter.difficulty !== undefined ? eq(scores.difficulty, filter.difficulty) : undefined,
+    filter.mazeCode !== undefined ? eq(scores.mazeCode, filter.mazeCode) : undefined,
+    filter.seed !== undefined ? eq(scores.seed, filter.seed) : undefined,
+    filter.since !== undefined ? gte(scores.createdAt, filter.since) : undefined,
+  );
+}
+
+export class DbStorage implements IStorage {
+  sessionStore: session.Store;
+  private db: Database;
+  private connection: DatabaseConnection;
+
+  constructor(connection: DatabaseConnection) {
+    this.connection = connection;
+    this.db = connection.db;
+
+    // The embedded database has no pool for connect-pg-simple, so its sessions stay in memory
+    this.sessionStore = connection.pool
+      ? new PostgresSessionStore({ pool: connection.pool })
+      : new MemoryStore({ checkPeriod: 24 * 60 * 60 * 1000 });
+  }
+
+  async init(): Promise<void> {
+    await this.connection.migrate();
+  }
+
+  async getUser(id: number): Promise<User | undefined> {
+    const [user] = await this.db.select().from(users).where(eq(users.id, id));
+    return user;
+  }
+
+  async getUserByUsername(username: string): Promise<User | undefined> {
+    const [user] = await this.db.select().from(users).where(eq(users.username, username));
+    return user;
+  }
+
+  // Conflicts are left to the unique constraints, so two sign-ups racing for a name can't both win
+  async createUser(insertUser: InsertUser): Promise<User | undefined> {
+    const [user] = await this.db.insert(users).values(insertUser).onConflictDoNothing().returning();
+    return user;
+  }
+
+  async getDailyAttempt(id: number): Promise<DailyAttempt | undefined> {
+    const [attempt] = await this.db.select().from(dailyAttempts).where(eq(dailyAttempts.id, id));
+    return attempt;
+  }
+
+  async getDailyAttemptForPlayer(date: string, playerId: string): Promise<DailyAttempt | undefined> {
+    const [attempt] = await this.db.select().from(dailyAttempts)
+      .where(and(eq(dailyAttempts.date, date), eq(dailyAttempts.playerId, playerId)));
+    return attempt;
+  }
+
+  async createDailyAttempt(insertAttempt: InsertDailyAttempt): Promise<DailyAttempt | undefined> {
+    const [attempt] = await this.db.insert(dailyAttempts).values(insertAttempt).onConflictDoNothing().returning();
+    return attempt;
+  }
+
+  async finishDailyAttempt(id: number, result: DailyResult): Promise<DailyAttempt | undefined> {
+    const [attempt] = await this.db.update(dailyAttempts)
+      .set({
+        finishedAt: new Date(),
+        victory: result.victory,
+        elapsed: result.elapsed,
+        hintsUsed: result.hintsUsed,
+      })
+      .where(and(eq(dailyAttempts.id, id), isNull(dailyAttempts.finishedAt)))
+      .returning();
+    return attempt;
+  }
+
+  async createScore(insertScore: InsertScore): Promise<Score> {
+    const [score] = await this.db.insert(scores).values(insertScore).returning();
+    return score;
+  }
+
+  async getTopScores(filter: ScoreFilter, limit: number): Promise<Score[]> {
+    return this.db.select().from(scores)
+      .where(scoreConditions(filter))
+      .orderBy(asc(scores.elapsed), asc(scores.hintsUsed), asc(scores.createdAt), asc(scores.id))
+      .limit(limit);
+  }
+
+  async getScoreRank(score: Score, filter: ScoreFilter): Promise<ScoreRank> {
+    // Same order as compareScores: everything that sorts before this score
+    const ahead = or(
+      lt(scores.elapsed, score.elapsed),
+      and(eq(scores.elapsed, score.elapsed), lt(scores.hintsUsed, score.hintsUsed)),
+      and(eq(scores.elapsed, score.elapsed), eq(scores.hintsUsed, score.hintsUsed), lt(scores.createdAt, score.createdAt)),
+      and(eq(scores.elapsed, score.elapsed), eq(scores.hintsUsed, score.hintsUsed), eq(scores.createdAt, score.createdAt), lt(scores.id, score.id)),
+    );
+
+    const [[{ total }], [{ before }]] = await Promise.all([
+      this.db.select({ total: count() }).from(scores).where(scoreConditions(filter)),
+      this.db.select({ before: count() }).from(scores).where(and(scoreConditions(filter), ahead)),
+    ]);
+    return { rank: before + 1, total };
+  }
+
+  async getCampaignProgress(userId: number): Promise<CampaignProgress[]> {
+    return this.db.select().from(campaignProgress)
+      .where(eq(campaignProgress.userId, userId))
+      .orderBy(asc(campaignProgress.levelId));
+  }
+
+  async saveCampaignResult(result: InsertCampaignProgress): Promise<CampaignProgress> {
+    // Keep the most stars and the fastest time, even if they came from different runs
+    const [progress] = await this.db.insert(campaignProgress).values(result)
+      .onConflictDoUpdate({
+        target: [campaignProgress.userId, campaignProgress.levelId],
+        set: {
+          stars: sql`greatest(${campaignProgress.stars}, excluded.stars)`,
+          bestElapsed: sql`least(${campaignProgress.bestElapsed}, excluded.best_elapsed)`,
+          updatedAt: new Date(),
+        },
+      })
+      .returning();
+    return progress;
+  }
+}
+
+// Postgres when DATABASE_URL is set (see server/db.ts), otherwise in memory
+function createStorage(): IStorage {
+  const url = process.env.DATABASE_URL;
+  if (!url) {
+    log("DATABASE_URL is not set, using in-memory storage", "storage");
+    return new MemStorage();
+  }
+  return new DbStorage(connectDatabase(url));
 }
 
-export const storage = new MemStorage();
+export const storage = createStorage();
@@ -0,0 +1,124 @@
+/**
+ * Campaign
+ * Numbered levels whose mazes grow, darken and bring in new mechanics one at a time.
+ * Each level is a hand-tuned data file in ./levels; this module checks them and works
+ * out their rules, star ratings and unlocks so the game and the server agree
+ */
+
+import { z } from "zod";
+import { MAZE_ALGORITHMS } from "./mazeAlgorithms";
+import { DIFFICULTY_RULES, difficulties, type DifficultyRules } from "./rules";
+import level01 from "./levels/level-01.json";
+import level02 from "./levels/level-02.json";
+import level03 from "./levels/level-03.json";
+import level04 from "./levels/level-04.json";
+import level05 from "./levels/level-05.json";
+import level06 from "./levels/level-06.json";
+import level07 from "./levels/level-07.json";
+import level08 from "./levels/level-08.json";
+import level09 from "./levels/level-09.json";
+import level10 from "./levels/level-10.json";
+import level11 from "./levels/level-11.json";
+import level12 from "./levels/level-12.json";
+
+export const MAX_STARS = 3;
+
+const mazeSizeSchema = z.number().int().min(5).refine(size => size % 2 === 1, "Maze sizes must be odd");
+
+// Rules a level may change from its base difficulty (maze size and algorithm are set on the level itself)
+const levelRulesSchema = z.object({
+  moveDuration: z.number().positive(),
+  parSlack: z.number().positive(),
+  minTimeLimit: z.number().int().positive(),
+  hintsAllowed: z.number().int().nonnegative(),
+  hintTimeCost: z.number().int().nonnegative(),
+  enemyCount: z.number().int().nonnegative(),
+  enemyPatrolStep: z.number().positive(),
+  enemyChaseStep: z.number().positive(),
+  enemySightRange: z.number().int().nonnegative(),
+  enemyLightRange: z.number().nonnegative(),
+  enemyEmberRange: z.number().nonnegative(),
+  lockCount: z.number().int().nonnegative(),
+  clockCount: z.number().int().nonnegative(),
+  clockBonus: z.number().int().nonnegative(),
+  fuelCapacity: z.number().nonnegative(),
+  oilCount: z.number().int().nonnegative(),
+  oilRefill: z.number().nonnegative(),
+  sprintSpeed: z.number().min(1),
+  sprintFuelCost: z.number().nonnegative(),
+}).partial().strict();
+
+export const campaignLevelSchema = z.object({
+  id: z.number().int().positive(),
+  name: z.string().min(1),
+  intro: z.string(),
+  base: z.enum(difficulties), // difficulty the level's rules start from
+  seed: z.number().int().min(0).max(0xFFFFFFFF),
+  algorithm: z.string().refine(name => name in MAZE_ALGORITHMS, "Unknown maze algorithm").optional(),
+  width: mazeSizeSchema,
+  height: mazeSizeSchema,
+  lightRadius: z.number().positive(), // pixels
+  memoryFade: z.number().nonnegative(), // seconds, 0 = never forget
+  minimap: z.enum(["always", "toggle", "hidden"]),
+  hintSteps: z.number().int().positive(),
+  rules: levelRulesSchema.default({}),
+  stars: z.tuple([z.number(), z.number()]), // share of the time limit left for 2 and 3 stars
+}).strict();
+
+export type CampaignLevel = z.infer<typeof campaignLevelSchema>;
+
+/**
+ * Check the level files, which must be numbered 1, 2, 3... in order
+ */
+function loadLevels(files: unknown[]): CampaignLevel[] {
+  return files.map((file, index) => {
+    const level = campaignLevelSchema.parse(file);
+    if (level.id !== index + 1) {
+      throw new Error(`Campaign level ${index + 1} has id ${level.id}`);
+    }
+    return level;
+  });
+}
+
+export const CAMPAIGN_LEVELS: readonly CampaignLevel[] = loadLevels([
+  level01, level02, level03, level04, level05, level06,
+  level07, level08, level09, level10, level11, level12,
+]);
+
+/**
+ * Get a level by its number, or undefined
+ */
+export function getCampaignLevel(id: number): CampaignLevel | undefined {
+  return CAMPAIGN_LEVELS[id - 1];
+}
+
+/**
+ * Full gameplay rules for a level: its base difficulty with the level's maze and changes
+ */
+export function getLevelRules(level: CampaignLevel): DifficultyRules {
+  const base = DIFFICULTY_RULES[level.base];
+  return {
+    ...base,
+    mazeWidth: level.width,
+    mazeHeight: level.height,
+    algorithm: level.algorithm ?? base.algorithm,
+    ...level.rules,
+  };
+}
+
+/**
+ * Stars for a won level: one for finishing, more for finishing with time to spare
+ */
+export function calculateStars(level: CampaignLevel, timeRemaining: number, timeLimit: number): number {
+  const share = timeLimit > 0 ? timeRemaining / timeLimit : 0;
+  if (share >= level.stars[1]) return 3;
+  if (share >= level.stars[0]) return 2;
+  return 1;
+}
+
+/**
+ * Check a level can be played: the first always, the rest once the one before has a star
+ */
+export function isLevelUnlocked(id: number, getStars: (id: number) => number): boolean {
+  return id === 1 || (getCampaignLevel(id) !== undefined && getStars(id - 1) > 0);
+}
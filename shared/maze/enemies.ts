@@ -0,0 +1,373 @@
+/**
+ * Shadow Creatures
+ * Enemies that wander the maze and hunt the player once they see them or notice their light.
+ * Creatures act on fixed step times and only look at the run's input log, so the game,
+ * replays and the server's run checks all see exactly the same creatures.
+ * Locked doors don't stop them: creatures slip between the bars.
+ */
+
+import { Inventory } from "./items";
+import { Lantern } from "./lantern";
+import { LightTrack } from "./light";
+import type { MazeGenerator } from "./maze";
+import { EXIT_REACH_PROGRESS, MOVE_CODE_OFFSETS, getMoveDuration, type InputEvent } from "./movement";
+import { findPathBFS, getDistanceMap, type Cell } from "./pathfinding";
+import { SeededRandom, hashString } from "./random";
+import type { DifficultyRules } from "./rules";
+
+export type EnemyRules = Pick<
+  DifficultyRules,
+  | "moveDuration"
+  | "enemyCount"
+  | "enemyPatrolStep"
+  | "enemyChaseStep"
+  | "enemySightRange"
+  | "enemyLightRange"
+  | "enemyEmberRange"
+  | "fuelCapacity"
+  | "oilRefill"
+  | "sprintFuelCost"
+>;
+
+export type EnemyMode = "patrol" | "chase" | "search";
+
+export interface Enemy {
+  cell: Cell;
+  previousCell: Cell; // where the last step started, for drawing the move
+  stepTime: number; // ms since the run started that the last step began
+  stepDuration: number;
+  nextStepTime: number;
+  mode: EnemyMode; // search = walking to where the player was last seen
+  route: Cell[];
+  lastSeen: Cell | null;
+}
+
+// Creatures hold still for the first moments of a run
+export const ENEMY_START_DELAY = 3000;
+
+// How far from the shortest route to the exit creatures appear where the maze allows, and how far apart
+const MIN_ROUTE_DISTANCE = 6;
+const MIN_SPAWN_SPACING = 6;
+
+// Cells a wandering creature walks before choosing a new spot
+const PATROL_MIN_DISTANCE = 3;
+const PATROL_MAX_DISTANCE = 12;
+
+/**
+ * The cell the player occupies over a run, built from its moves
+ * The player counts as in a new cell once halfway there, as when reaching the exit
+ */
+export class PlayerTrack {
+  readonly times: number[] = [-Infinity]; // ms since the run started the player entered each cell
+  readonly cells: Cell[];
+  private moveDuration: number;
+
+  constructor(start: Cell, moveDuration: number) {
+    this.cells = [{ ...start }];
+    this.moveDuration = moveDuration;
+  }
+
+  /**
+   * Rebuild a track from a logged run
+   */
+  static fromEvents(start: Cell, moveDuration: number, events: InputEvent[], sprintSpeed = 1): PlayerTrack {
+    const track = new PlayerTrack(start, moveDuration);
+    let cell = start;
+    for (const [time, code] of events) {
+      const offset = MOVE_CODE_OFFSETS[code];
+      if (!offset) continue;
+
+      cell = { x: cell.x + offset.x, y: cell.y + offset.y };
+      track.addMove(time, cell, getMoveDuration(code, moveDuration, sprintSpeed));
+    }
+    return track;
+  }
+
+  /**
+   * Add a move that starts at `time` (ms since the run started) and lasts `duration` ms
+   */
+  addMove(time: number, to: Cell, duration = this.moveDuration): void {
+    this.times.push(time + duration * EXIT_REACH_PROGRESS);
+    this.cells.push({ ...to });
+  }
+
+  /**
+   * Get the cell the player is in at a time
+   */
+  cellAt(time: number): Cell {
+    let low = 0;
+    let high = this.times.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (this.times[mid] <= time) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return this.cells[low];
+  }
+}
+
+export class EnemySimulation {
+  readonly enemies: Enemy[];
+  time = 0;
+  caught: { time: number; enemy: Enemy } | null = null;
+
+  private maze: MazeGenerator;
+  private rules: EnemyRules;
+  private track: PlayerTrack;
+  private light: LightTrack | null; // null: the light always reaches enemyLightRange
+  private random: SeededRandom;
+  private nextChange = 1; // first track entry not yet checked against the creatures
+
+  /**
+   * `spawns` places the creatures by hand instead of choosing cells from the seed
+   */
+  constructor(
+    maze: MazeGenerator,
+    rules: EnemyRules,
+    track: PlayerTrack,
+    light: LightTrack | null = null,
+    spawns?: Cell[],
+  ) {
+    this.maze = maze;
+    this.rules = rules;
+    this.track = track;
+    this.light = light;
+    this.random = new SeededRandom(hashString(`shadow-maze-enemies:${maze.getSeed()}`));
+
+    this.enemies = (spawns ?? this.chooseSpawns()).map((cell, index) => ({
+      cell,
+      previousCell: cell,
+      stepTime: 0,
+      stepDuration: rules.enemyPatrolStep,
+      nextStepTime: ENEMY_START_DELAY + Math.floor((rules.enemyPatrolStep * index) / rules.enemyCount),
+      mode: "patrol" as EnemyMode,
+      route: [],
+      lastSeen: null,
+    }));
+  }
+
+  /**
+   * Pick spawn cells off the shortest route to the exit, well away from it and from each other
+   * where the maze allows. A player who walks that route without stopping always gets through.
+   * Spawns have their own random sequence, so trying them out doesn't change how creatures wander
+   */
+  private chooseSpawns(): Cell[] {
+    if (this.rules.enemyCount <= 0) return [];
+
+    const route = this.maze.getSolution() ?? [this.maze.getStartPosition()];
+    const distances = this.maze.getDistanceMap(route);
+    const farthest = Math.max(...Array.from(distances));
+    const minDistance = Math.min(MIN_ROUTE_DISTANCE, Math.ceil(farthest / 2));
+
+    // Every off-route cell in a seeded order, with the ones far enough from the route first
+    const candidates: Cell[] = [];
+    for (let y = 0; y < this.maze.height; y++) {
+      for (let x = 0; x < this.maze.width; x++) {
+        if (distances[y * this.maze.width + x] > 0) {
+          candidates.push({ x, y });
+        }
+      }
+    }
+    new SeededRandom(hashString(`shadow-maze-spawns:${this.maze.getSeed()}`)).shuffle(candidates);
+    const isFar = (cell: Cell) => distances[cell.y * this.maze.width + cell.x] >= minDistance;
+    candidates.sort((a, b) => Number(isFar(b)) - Number(isFar(a)));
+
+    const spawns: Cell[] = [];
+    for (const cell of candidates) {
+      if (spawns.length >= this.rules.enemyCount) break;
+      if (spawns.every(other => Math.abs(other.x - cell.x) + Math.abs(other.y - cell.y) >= MIN_SPAWN_SPACING)) {
+        spawns.push(cell);
+      }
+    }
+    // Crowded mazes: settle for less spacing rather than fewer creatures
+    for (const cell of candidates) {
+      if (spawns.length >= this.rules.enemyCount) break;
+      if (!spawns.includes(cell)) {
+        spawns.push(cell);
+      }
+    }
+
+    // Move any creature that would catch the walk to the next unused cell, or leave it out once none are left
+    const unused = candidates.filter(cell => !spawns.includes(cell));
+    let catcher = this.findRouteCatcher(spawns, route);
+    while (catcher >= 0) {
+      const replacement = unused.shift();
+      if (replacement) {
+        spawns[catcher] = replacement;
+      } else {
+        spawns.splice(catcher, 1);
+      }
+      catcher = this.findRouteCatcher(spawns, route);
+    }
+    return spawns;
+  }
+
+  /**
+   * Index of the spawn whose creature catches a player walking `route` without stopping, or -1
+   */
+  private findRouteCatcher(spawns: Cell[], route: Cell[]): number {
+    // The walk pours in any oil it passes, so its lantern dims as a player's would
+    const track = new PlayerTrack(route[0], this.rules.moveDuration);
+    const lantern = new Lantern(this.rules);
+    const inventory = new Inventory(this.maze);
+    for (let i = 1; i < route.length; i++) {
+      const time = (i - 1) * this.rules.moveDuration;
+      track.addMove(time, route[i]);
+      if (inventory.collect(route[i].x, route[i].y)?.kind === "oil") {
+        lantern.refill(time);
+      }
+    }
+
+    const light = new LightTrack(this.rules, lantern);
+    const trial = new EnemySimulation(this.maze, this.rules, track, light, spawns);
+    trial.advance((route.length - 2 + EXIT_REACH_PROGRESS) * this.rules.moveDuration);
+    return trial.caught ? trial.enemies.indexOf(trial.caught.enemy) : -1;
+  }
+
+  /**
+   * Run the creatures up to a time (ms since the run started)
+   * Returns true once a creature has caught the player
+   */
+  advance(toTime: number): boolean {
+    while (!this.caught) {
+      const enemy = this.getNextEnemy();
+      const enemyTime = enemy ? enemy.nextStepTime : Infinity;
+      const changeTime = this.nextChange < this.track.times.length ? this.track.times[this.nextChange] : Infinity;
+      if (Math.min(enemyTime, changeTime) > toTime) break;
+
+      // The player entering a cell is checked before creatures stepping at the same moment
+      if (changeTime <= enemyTime) {
+        const cell = this.track.cells[this.nextChange++];
+        this.checkCaught(changeTime, cell);
+      } else if (enemy) {
+        this.step(enemy, enemyTime);
+      }
+    }
+
+    this.time = this.caught ? this.caught.time : Math.max(this.time, toTime);
+    return this.caught !== null;
+  }
+
+  /**
+   * The creature due to step soonest (the first one on ties)
+   */
+  private getNextEnemy(): Enemy | null {
+    let next: Enemy | null = null;
+    for (const enemy of this.enemies) {
+      if (!next || enemy.nextStepTime < next.nextStepTime) {
+        next = enemy;
+      }
+    }
+    return next;
+  }
+
+  /**
+   * One creature's turn: look for the player, choose where to go, take a step
+   */
+  private step(enemy: Enemy, time: number): void {
+    const player = this.track.cellAt(time);
+    const lightRange = this.light ? this.light.rangeAt(time, player) : this.rules.enemyLightRange;
+
+    if (this.canNotice(enemy.cell, player, lightRange)) {
+      enemy.mode = "chase";
+      enemy.lastSeen = { ...player };
+      enemy.route = this.routeTo(enemy.cell, player);
+    } else if (enemy.mode === "chase") {
+      // Lost sight: head for where the player was last seen
+      enemy.mode = "search";
+    }
+
+    if (enemy.route.length === 0) {
+      enemy.mode = "patrol";
+      enemy.route = this.choosePatrolRoute(enemy.cell);
+    }
+
+    enemy.previousCell = enemy.cell;
+    enemy.stepTime = time;
+    enemy.stepDuration = enemy.mode === "patrol" ? this.rules.enemyPatrolStep : this.rules.enemyChaseStep;
+    enemy.nextStepTime = time + enemy.stepDuration;
+
+    const next = enemy.route.shift();
+    if (next) {
+      enemy.cell = next;
+    }
+
+    this.checkCaught(time, player);
+  }
+
+  /**
+   * Whether a creature spots the player: along a clear straight corridor,
+   * or because it is within `lightRange` cells of the player's light
+   */
+  private canNotice(from: Cell, player: Cell, lightRange: number): boolean {
+    const dx = player.x - from.x;
+    const dy = player.y - from.y;
+
+    if (dx * dx + dy * dy <= lightRange * lightRange) {
+      return true;
+    }
+    if ((dx !== 0 && dy !== 0) || Math.abs(dx + dy) > this.rules.enemySightRange) {
+      return false;
+    }
+
+    const stepX = Math.sign(dx);
+    const stepY = Math.sign(dy);
+    for (let x = from.x + stepX, y = from.y + stepY; x !== player.x || y !== player.y; x += stepX, y += stepY) {
+      if (!this.maze.isPath(x, y)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Cells to walk from one cell to another (excluding the first)
+   */
+  private routeTo(from: Cell, to: Cell): Cell[] {
+    const path = findPathBFS(this.maze.width, this.maze.height, (x, y) => this.maze.isPath(x, y), from, to);
+    return path ? path.slice(1) : [];
+  }
+
+  /**
+   * Wander to a random cell a short walk away
+   */
+  private choosePatrolRoute(from: Cell): Cell[] {
+    const distances = getDistanceMap(this.maze.width, this.maze.height, (x, y) => this.maze.isPath(x, y), from);
+
+    const targets: Cell[] = [];
+    for (let index = 0; index < distances.length; index++) {
+      if (distances[index] >= PATROL_MIN_DISTANCE && distances[index] <= PATROL_MAX_DISTANCE) {
+        targets.push({ x: index % this.maze.width, y: Math.floor(index / this.maze.width) });
+      }
+    }
+    if (targets.length === 0) return [];
+
+    return this.routeTo(from, targets[this.random.nextInt(targets.length)]);
+  }
+
+  /**
+   * End the run if any creature shares the player's cell. Until halfway through a step a
+   * creature still fills the cell it is leaving, so the player can't slip past it the other way
+   */
+  private checkCaught(time: number, player: Cell): void {
+    const enemy = this.enemies.find(other =>
+      (other.cell.x === player.x && other.cell.y === player.y) ||
+      (time < other.stepTime + other.stepDuration * EXIT_REACH_PROGRESS &&
+        other.previousCell.x === player.x && other.previousCell.y === player.y));
+    if (enemy) {
+      this.caught = { time, enemy };
+    }
+  }
+}
+
+/**
+ * Where a creature is drawn at a time, in fractional cells (cell centres at .5)
+ */
+export function getEnemyPosition(enemy: Enemy, time: number): { x: number; y: number } {
+  const progress = Math.max(0, Math.min((time - enemy.stepTime) / enemy.stepDuration, 1));
+  return {
+    x: enemy.previousCell.x + (enemy.cell.x - enemy.previousCell.x) * progress + 0.5,
+    y: enemy.previousCell.y + (enemy.cell.y - enemy.previousCell.y) * progress + 0.5,
+  };
+}
@@ -0,0 +1,217 @@
+/**
+ * Keys, Locked Doors, Clocks and Oil
+ * Cells beyond plain path and wall: a key opens the locked door of the same colour,
+ * a clock adds seconds to the countdown and an oil flask refuels the lantern. Every maze stays solvable: each door sits
+ * on a cell the way to the exit cannot avoid, and its key is reachable before it.
+ */
+
+import type { MazeGenerator } from "./maze";
+import { getDistanceMap, type Cell } from "./pathfinding";
+import type { SeededRandom } from "./random";
+
+// Values stored in MazeGenerator.grid
+export const CELL = {
+  PATH: 0,
+  WALL: 1,
+  KEY: 2,
+  DOOR: 3,
+  CLOCK: 4,
+  OIL: 5,
+} as const;
+
+// A key and the door it opens; a lock's index in maze.locks is its colour
+export interface Lock {
+  key: Cell;
+  door: Cell;
+}
+
+export type Pickup = { kind: "key"; lock: number } | { kind: "clock" } | { kind: "oil" };
+
+// Doors go between these shares of the route to the exit, leaving room for
+// a key before the first door and some maze after the last
+const DOOR_ROUTE_START = 0.15;
+const DOOR_ROUTE_END = 0.9;
+
+// Steps (Manhattan) kept between clocks, and between oil flasks
+const MIN_PICKUP_SPACING = 5;
+
+/**
+ * Put up to `count` locked doors on the route to the exit, each with its key
+ * somewhere the player can reach while holding only the earlier keys
+ */
+export function placeLocks(maze: MazeGenerator, random: SeededRandom, count: number): void {
+  const start = maze.getStartPosition();
+  const route = maze.findPath(start, maze.getExitPosition(), { method: "bfs" });
+  if (!route || count <= 0) return;
+
+  // A door only locks anything if blocking its cell cuts the start off from the exit
+  const first = Math.max(1, Math.floor(route.length * DOOR_ROUTE_START));
+  const last = Math.min(route.length - 2, Math.floor(route.length * DOOR_ROUTE_END));
+  const cuts: number[] = [];
+  for (let i = first; i <= last; i++) {
+    const cell = route[i];
+    if (maze.countAdjacentPaths(cell.x, cell.y) === 2 && !canReachExit(maze, [cell])) {
+      cuts.push(i);
+    }
+  }
+
+  // One door per stretch of the route so doors don't bunch up; stretches
+  // without a usable cell are made up from the others, still spaced apart
+  const span = (last - first + 1) / count;
+  const minGap = Math.max(2, Math.floor(span / 2));
+  const chosen: number[] = [];
+  for (let stretch = 0; stretch < count; stretch++) {
+    const inStretch = cuts.filter(i => i >= first + stretch * span && i < first + (stretch + 1) * span);
+    if (inStretch.length > 0) {
+      chosen.push(inStretch[random.nextInt(inStretch.length)]);
+    }
+  }
+  while (chosen.length < count) {
+    const spaced = cuts.filter(i => chosen.every(other => Math.abs(other - i) >= minGap));
+    if (spaced.length === 0) break;
+    chosen.push(spaced[random.nextInt(spaced.length)]);
+  }
+  const doors = chosen.sort((a, b) => a - b).map(i => route[i]);
+
+  const onRoute = new Set(route.map(cell => cell.y * maze.width + cell.x));
+  let previousReach: Int32Array | null = null;
+
+  doors.forEach((door, index) => {
+    // Cells open to a player holding the keys to the earlier doors
+    const blocked = doors.slice(index);
+    const reach = getDistanceMap(maze.width, maze.height,
+      (x, y) => maze.isPath(x, y) && !blocked.some(cell => cell.x === x && cell.y === y), start);
+
+    // Prefer a dead end off the route, in the stretch the previous door opened
+    const tiers: Cell[][] = [[], [], [], []];
+    for (let cellIndex = 0; cellIndex < reach.length; cellIndex++) {
+      const x = cellIndex % maze.width;
+      const y = Math.floor(cellIndex / maze.width);
+      if (reach[cellIndex] <= 0 || maze.getCell(x, y) !== CELL.PATH) continue;
+
+      const isNew = !previousReach || previousReach[cellIndex] < 0;
+      if (onRoute.has(cellIndex)) {
+        tiers[3].push({ x, y });
+      } else if (!isNew) {
+        tiers[2].push({ x, y });
+      } else if (maze.countAdjacentPaths(x, y) === 1) {
+        tiers[0].push({ x, y });
+      } else {
+        tiers[1].push({ x, y });
+      }
+    }
+    const candidates = tiers.find(tier => tier.length > 0);
+    if (!candidates) return;
+
+    const key = candidates[random.nextInt(candidates.length)];
+    maze.grid[door.y][door.x] = CELL.DOOR;
+    maze.grid[key.y][key.x] = CELL.KEY;
+    maze.locks.push({ key, door: { ...door } });
+    previousReach = reach;
+  });
+}
+
+/**
+ * Scatter up to `count` clocks or oil flasks off the route to the exit, dead ends first
+ * Returns how many were placed
+ */
+export function placePickups(
+  maze: MazeGenerator,
+  random: SeededRandom,
+  item: typeof CELL.CLOCK | typeof CELL.OIL,
+  count: number,
+): number {
+  if (count <= 0) return 0;
+
+  const route = maze.getSolution() || [];
+  const onRoute = new Set(route.map(cell => cell.y * maze.width + cell.x));
+
+  const deadEnds: Cell[] = [];
+  const others: Cell[] = [];
+  for (let y = 0; y < maze.height; y++) {
+    for (let x = 0; x < maze.width; x++) {
+      if (maze.getCell(x, y) !== CELL.PATH || onRoute.has(y * maze.width + x) || maze.isStartOrExit(x, y)) continue;
+
+      if (maze.countAdjacentPaths(x, y) === 1) {
+        deadEnds.push({ x, y });
+      } else {
+        others.push({ x, y });
+      }
+    }
+  }
+
+  const placed: Cell[] = [];
+  for (const cell of [...random.shuffle(deadEnds), ...random.shuffle(others)]) {
+    if (placed.length >= count) break;
+    if (placed.every(other => Math.abs(other.x - cell.x) + Math.abs(other.y - cell.y) >= MIN_PICKUP_SPACING)) {
+      placed.push(cell);
+      maze.grid[cell.y][cell.x] = item;
+    }
+  }
+  return placed.length;
+}
+
+/**
+ * Check the exit can still be reached from the start with some cells blocked
+ */
+function canReachExit(maze: MazeGenerator, blocked: Cell[]): boolean {
+  const exit = maze.getExitPosition();
+  const distances = getDistanceMap(maze.width, maze.height,
+    (x, y) => maze.isPath(x, y) && !blocked.some(cell => cell.x === x && cell.y === y), maze.getStartPosition());
+  return distances[exit.y * maze.width + exit.x] >= 0;
+}
+
+/**
+ * What the player has picked up over a run: keys (by lock), clocks and oil (by cell)
+ * Picked-up cells stay in the grid; the inventory says they are empty now
+ */
+export class Inventory {
+  readonly keys = new Set<number>();
+  readonly clocks = new Set<number>(); // y * width + x of each clock taken
+  readonly oil = new Set<number>(); // y * width + x of each flask taken
+  private maze: MazeGenerator;
+
+  constructor(maze: MazeGenerator) {
+    this.maze = maze;
+  }
+
+  /**
+   * Pick up whatever lies in a cell the player steps into
+   * Returns what was picked up, or null
+   */
+  collect(x: number, y: number): Pickup | null {
+    const cell = this.maze.getCell(x, y);
+
+    if (cell === CELL.KEY) {
+      const lock = this.maze.getLockAt(x, y);
+      if (lock >= 0 && !this.keys.has(lock)) {
+        this.keys.add(lock);
+        return { kind: "key", lock };
+      }
+    } else if (cell === CELL.CLOCK) {
+      const index = y * this.maze.width + x;
+      if (!this.clocks.has(index)) {
+        this.clocks.add(index);
+        return { kind: "clock" };
+      }
+    } else if (cell === CELL.OIL) {
+      const index = y * this.maze.width + x;
+      if (!this.oil.has(index)) {
+        this.oil.add(index);
+        return { kind: "oil" };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check the key, clock or oil in a cell has already been picked up
+   */
+  isCollected(x: number, y: number): boolean {
+    const cell = this.maze.getCell(x, y);
+    if (cell === CELL.KEY) return this.keys.has(this.maze.getLockAt(x, y));
+    if (cell === CELL.CLOCK) return this.clocks.has(y * this.maze.width + x);
+    if (cell === CELL.OIL) return this.oil.has(y * this.maze.width + x);
+    return false;
+  }
+}
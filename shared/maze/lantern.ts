@@ -0,0 +1,98 @@
+/**
+ * Lantern Fuel
+ * The player's lantern burns one second of fuel per second of the run, and sprinting
+ * burns extra. Oil flasks pour fuel back in. An empty lantern still glows as an ember,
+ * but can't be sprinted with. Fuel only depends on the run's input log, so the game,
+ * replays and the server's run checks all agree on it.
+ */
+
+import type { DifficultyRules } from "./rules";
+
+export type LanternRules = Pick<DifficultyRules, "fuelCapacity" | "oilRefill" | "sprintFuelCost">;
+
+export class Lantern {
+  fuel: number; // seconds of light left
+  time = 0; // ms since the run started that `fuel` is worked out to
+
+  private rules: LanternRules;
+  private changes: { time: number; fuel: number }[] = []; // fuel right after each sprint or refill
+
+  constructor(rules: LanternRules) {
+    this.rules = rules;
+    this.fuel = rules.fuelCapacity;
+  }
+
+  /**
+   * Check the lantern runs on fuel at all (levels without fuel never dim)
+   */
+  get usesFuel(): boolean {
+    return this.rules.fuelCapacity > 0;
+  }
+
+  /**
+   * Share of a full lantern left, 0-1
+   */
+  get level(): number {
+    return this.usesFuel ? this.fuel / this.rules.fuelCapacity : 1;
+  }
+
+  /**
+   * Share of a full lantern left at a time (ms since the run started), from the sprints
+   * and refills so far; unlike `level`, works for times the lantern has already burnt past
+   */
+  levelAt(time: number): number {
+    if (!this.usesFuel) return 1;
+
+    // Last change at or before the time (binary search)
+    let low = 0;
+    let high = this.changes.length - 1;
+    let index = -1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (this.changes[mid].time <= time) {
+        index = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    const from = index === -1 ? { time: 0, fuel: this.rules.fuelCapacity } : this.changes[index];
+    return Math.max(0, from.fuel - Math.max(0, time - from.time) / 1000) / this.rules.fuelCapacity;
+  }
+
+  /**
+   * Burn fuel up to a time (ms since the run started)
+   */
+  burnTo(time: number): void {
+    if (time <= this.time) return;
+    this.fuel = Math.max(0, this.fuel - (time - this.time) / 1000);
+    this.time = time;
+  }
+
+  /**
+   * Check a sprinting move may start at a time
+   */
+  canSprint(time: number): boolean {
+    this.burnTo(time);
+    return this.usesFuel && this.fuel > 0;
+  }
+
+  /**
+   * Burn the fuel for a sprinting move starting at a time
+   */
+  sprint(time: number): void {
+    this.burnTo(time);
+    this.fuel = Math.max(0, this.fuel - this.rules.sprintFuelCost);
+    this.changes.push({ time, fuel: this.fuel });
+  }
+
+  /**
+   * Pour in an oil flask picked up at a time
+   */
+  refill(time: number): void {
+    this.burnTo(time);
+    this.fuel = Math.min(this.rules.fuelCapacity, this.fuel + this.rules.oilRefill);
+    this.changes.push({ time, fuel: this.fuel });
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * Player Light
+ * How far the player's light reaches over a run, which is what shadow creatures notice.
+ * The lantern's glow shrinks toward an ember as its fuel burns down, and a burning flare
+ * lights up a player standing near it. Like the lantern, it only follows the input log.
+ */
+
+import type { Lantern } from "./lantern";
+import type { Cell } from "./pathfinding";
+import type { DifficultyRules } from "./rules";
+
+export const FLARE_DURATION = 20000; // ms a dropped flare burns
+export const FLARE_LIGHT_RANGE = 4.5; // cells a flare lights around it
+
+export type LightRules = Pick<DifficultyRules, "enemyLightRange" | "enemyEmberRange">;
+
+export interface Flare {
+  time: number; // ms since the run started
+  cell: Cell;
+}
+
+export class LightTrack {
+  readonly flares: Flare[] = [];
+
+  private rules: LightRules;
+  private lantern: Lantern;
+
+  constructor(rules: LightRules, lantern: Lantern) {
+    this.rules = rules;
+    this.lantern = lantern;
+  }
+
+  /**
+   * Add a flare dropped in a cell at `time` (ms since the run started)
+   */
+  addFlare(time: number, cell: Cell): void {
+    this.flares.push({ time, cell: { ...cell } });
+  }
+
+  /**
+   * Cells from the player at which a creature notices their light, at a time
+   */
+  rangeAt(time: number, player: Cell): number {
+    const ember = Math.min(this.rules.enemyEmberRange, this.rules.enemyLightRange);
+    let range = ember + (this.rules.enemyLightRange - ember) * this.lantern.levelAt(time);
+
+    for (const flare of this.flares) {
+      if (time < flare.time || time >= flare.time + FLARE_DURATION) continue;
+
+      const dx = player.x - flare.cell.x;
+      const dy = player.y - flare.cell.y;
+      if (dx * dx + dy * dy <= FLARE_LIGHT_RANGE * FLARE_LIGHT_RANGE) {
+        range = Math.max(range, FLARE_LIGHT_RANGE);
+      }
+    }
+    return range;
+  }
+}
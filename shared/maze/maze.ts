@@ -0,0 +1,396 @@
+/**
+ * Maze Generator
+ * Carves a perfect maze with a pluggable algorithm (DFS by default), then adds a few loops
+ * The same seed, size and algorithm always produce the same maze, keys, doors and clocks included
+ */
+
+import { CELL, placeLocks, placePickups, type Lock } from "./items";
+import { createMazeAlgorithm } from "./mazeAlgorithms";
+import { NEIGHBOUR_OFFSETS, findPathAStar, findPathBFS, getDistanceMap, type Cell } from "./pathfinding";
+import { SeededRandom, createRandomSeed, hashString } from "./random";
+
+export interface MazeStats {
+  reachable: boolean;
+  solutionLength: number;
+  pathCells: number;
+  deadEnds: number;
+  junctions: number;
+  branchingFactor: number;
+  longestCorridor: number;
+}
+
+export class MazeGenerator {
+  width: number;
+  height: number;
+  seed: number;
+  algorithm: string;
+  random: SeededRandom;
+  grid: number[][]; // CELL values
+  locks: Lock[];
+  startPos: Cell;
+  exitPos: Cell;
+
+  constructor(width: number, height: number, seed: number = createRandomSeed(), algorithm = "dfs") {
+    this.width = width;
+    this.height = height;
+    this.seed = seed >>> 0;
+    this.algorithm = algorithm;
+    this.random = new SeededRandom(this.seed);
+    this.grid = [];
+    this.locks = [];
+    this.startPos = { x: 1, y: 1 };
+    this.exitPos = { x: width - 2, y: height - 2 };
+
+    // Initialize grid with all walls
+    this.initializeGrid();
+  }
+
+  /**
+   * Initialize the maze grid with walls
+   */
+  initializeGrid(): void {
+    this.grid = [];
+    for (let y = 0; y < this.height; y++) {
+      this.grid[y] = [];
+      for (let x = 0; x < this.width; x++) {
+        this.grid[y][x] = CELL.WALL;
+      }
+    }
+  }
+
+  /**
+   * Generate the maze using the selected algorithm
+   */
+  generate(): void {
+    // Restart from a solid grid and the start of the random sequence so generate() is repeatable
+    this.random = new SeededRandom(this.seed);
+    this.initializeGrid();
+    this.locks = [];
+
+    // Carve the maze with the selected strategy
+    createMazeAlgorithm(this.algorithm).carve(this);
+
+    // Ensure start and exit positions are clear
+    this.grid[this.startPos.y][this.startPos.x] = 0;
+    this.grid[this.exitPos.y][this.exitPos.x] = 0;
+
+    // Create some additional connections for interesting gameplay
+    this.createAdditionalPaths();
+  }
+
+  /**
+   * Add key-and-door pairs, time-bonus clocks and oil flasks to a generated maze
+   * Uses its own random sequence, so the layout of the maze itself never changes
+   * (oil goes last so mazes keep the doors and clocks they had before there was oil)
+   */
+  placeItems(lockCount: number, clockCount: number, oilCount = 0): void {
+    const random = new SeededRandom(hashString(`shadow-maze-items:${this.seed}`));
+    placeLocks(this, random, lockCount);
+    placePickups(this, random, CELL.CLOCK, clockCount);
+    placePickups(this, random, CELL.OIL, oilCount);
+  }
+
+  /**
+   * Check if cell is valid for maze generation
+   */
+  isValidCell(x: number, y: number): boolean {
+    return x > 0 && x < this.width - 1 && y > 0 && y < this.height - 1;
+  }
+
+  /**
+   * Create additional paths to make the maze more interesting
+   * Removes some walls to create loops and alternative routes
+   */
+  createAdditionalPaths(): void {
+    const pathsToCreate = Math.floor((this.width * this.height) * 0.02); // 2% of total cells
+
+    for (let i = 0; i < pathsToCreate; i++) {
+      const x = 1 + this.random.nextInt(this.width - 2);
+      const y = 1 + this.random.nextInt(this.height - 2);
+
+      // Only remove walls that connect two paths
+      if (this.grid[y][x] === 1 && this.countAdjacentPaths(x, y) >= 2) {
+        this.grid[y][x] = 0;
+      }
+    }
+  }
+
+  /**
+   * Count adjacent path cells
+   */
+  countAdjacentPaths(x: number, y: number): number {
+    let count = 0;
+    const directions = [
+      { x: 0, y: -1 }, { x: 1, y: 0 },
+      { x: 0, y: 1 }, { x: -1, y: 0 }
+    ];
+
+    for (const dir of directions) {
+      const newX = x + dir.x;
+      const newY = y + dir.y;
+
+      if (newX >= 0 && newX < this.width && newY >= 0 && newY < this.height) {
+        if (this.isPath(newX, newY)) {
+          count++;
+        }
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Check if a cell is a wall
+   */
+  isWall(x: number, y: number): boolean {
+    if (x < 0 || x >= this.width || y < 0 || y >= this.height) {
+      return true; // Out of bounds is considered a wall
+    }
+    return this.grid[y][x] === CELL.WALL;
+  }
+
+  /**
+   * Check if a cell is a path (anything but wall - keys, doors and clocks lie on paths)
+   */
+  isPath(x: number, y: number): boolean {
+    if (x < 0 || x >= this.width || y < 0 || y >= this.height) {
+      return false;
+    }
+    return this.grid[y][x] !== CELL.WALL;
+  }
+
+  /**
+   * Get what a cell holds (out of bounds is wall)
+   */
+  getCell(x: number, y: number): number {
+    if (x < 0 || x >= this.width || y < 0 || y >= this.height) {
+      return CELL.WALL;
+    }
+    return this.grid[y][x];
+  }
+
+  /**
+   * Get the index of the lock whose key or door is in a cell, or -1
+   */
+  getLockAt(x: number, y: number): number {
+    return this.locks.findIndex(lock =>
+      (lock.key.x === x && lock.key.y === y) || (lock.door.x === x && lock.door.y === y));
+  }
+
+  /**
+   * Check a cell can be walked into while holding some keys (locked doors need theirs)
+   */
+  isOpen(x: number, y: number, keys: ReadonlySet<number>): boolean {
+    if (!this.isPath(x, y)) return false;
+    return this.grid[y][x] !== CELL.DOOR || keys.has(this.getLockAt(x, y));
+  }
+
+  /**
+   * Get the start position
+   */
+  getStartPosition(): Cell {
+    return { ...this.startPos };
+  }
+
+  /**
+   * Get the exit position
+   */
+  getExitPosition(): Cell {
+    return { ...this.exitPos };
+  }
+
+  /**
+   * Find the shortest path between two cells
+   * Uses A* by default, or BFS with { method: "bfs" }
+   * Returns the cells from `from` to `to` (inclusive), or null when unreachable
+   */
+  findPath(from: Cell, to: Cell, { method = "astar" }: { method?: "astar" | "bfs" } = {}): Cell[] | null {
+    const search = method === "bfs" ? findPathBFS : findPathAStar;
+    return search(this.width, this.height, (x, y) => this.isPath(x, y), from, to);
+  }
+
+  /**
+   * Get step distances from a cell (or the nearest of several) to every path cell
+   * Int32Array indexed by y * width + x, -1 where unreachable
+   */
+  getDistanceMap(from: Cell | Cell[]): Int32Array {
+    return getDistanceMap(this.width, this.height, (x, y) => this.isPath(x, y), from);
+  }
+
+  /**
+   * Get a route from a cell to the exit that fetches the keys it needs on the way
+   * While locked doors keep the exit out of reach, the route detours to the nearest
+   * key not yet held. Returns null if the exit can't be reached
+   */
+  findRouteToExit(from: Cell, heldKeys: Iterable<number> = []): Cell[] | null {
+    const keys = new Set(heldKeys);
+    const route: Cell[] = [{ ...from }];
+    let position = from;
+
+    while (true) {
+      const isOpen = (x: number, y: number) => this.isOpen(x, y, keys);
+      const toExit = findPathBFS(this.width, this.height, isOpen, position, this.exitPos);
+      if (toExit) {
+        return route.concat(toExit.slice(1));
+      }
+
+      const distances = getDistanceMap(this.width, this.height, isOpen, position);
+      let nearest = -1;
+      let nearestDistance = Infinity;
+      this.locks.forEach((lock, index) => {
+        const distance = distances[lock.key.y * this.width + lock.key.x];
+        if (!keys.has(index) && distance >= 0 && distance < nearestDistance) {
+          nearest = index;
+          nearestDistance = distance;
+        }
+      });
+      if (nearest === -1) return null;
+
+      const key = this.locks[nearest].key;
+      const toKey = findPathBFS(this.width, this.height, isOpen, position, key)!;
+      route.push(...toKey.slice(1));
+      keys.add(nearest);
+      position = key;
+    }
+  }
+
+  /**
+   * Get the route from start to exit, picking up the keys its doors need,
+   * or null if the exit is unreachable
+   */
+  getSolution(): Cell[] | null {
+    return this.findRouteToExit(this.startPos);
+  }
+
+  /**
+   * Measure the maze layout
+   * - solutionLength: steps on the shortest start-to-exit route (-1 if unreachable)
+   * - deadEnds: path cells with a single way out (start and exit excluded)
+   * - junctions / branchingFactor: cells with 3+ ways out, and the average
+   *   number of onward choices at them
+   * - longestCorridor: cells in the longest unbranched passage
+   */
+  analyze(): MazeStats {
+    const solution = this.getSolution();
+    let pathCells = 0;
+    let deadEnds = 0;
+    let junctions = 0;
+    let junctionChoices = 0;
+
+    for (let y = 0; y < this.height; y++) {
+      for (let x = 0; x < this.width; x++) {
+        if (!this.isPath(x, y)) continue;
+        pathCells++;
+
+        const degree = this.countAdjacentPaths(x, y);
+        if (degree <= 1 && !this.isStartOrExit(x, y)) {
+          deadEnds++;
+        } else if (degree >= 3) {
+          junctions++;
+          junctionChoices += degree - 1; // minus the way we came in
+        }
+      }
+    }
+
+    return {
+      reachable: solution !== null,
+      solutionLength: solution ? solution.length - 1 : -1,
+      pathCells,
+      deadEnds,
+      junctions,
+      branchingFactor: junctions > 0 ? junctionChoices / junctions : 0,
+      longestCorridor: this.getLongestCorridor()
+    };
+  }
+
+  /**
+   * Find the length (in cells) of the longest passage without branches
+   * A passage is a connected run of cells that each have exactly two ways out
+   */
+  getLongestCorridor(): number {
+    const visited = new Uint8Array(this.width * this.height);
+    const isCorridor = (x: number, y: number) => this.isPath(x, y) && this.countAdjacentPaths(x, y) === 2;
+    let longest = 0;
+
+    for (let y = 0; y < this.height; y++) {
+      for (let x = 0; x < this.width; x++) {
+        if (visited[y * this.width + x] || !isCorridor(x, y)) continue;
+
+        // Flood along the corridor (never branches, so this is a simple chain)
+        let length = 0;
+        const stack = [{ x, y }];
+        visited[y * this.width + x] = 1;
+
+        while (stack.length > 0) {
+          const cell = stack.pop()!;
+          length++;
+
+          for (const offset of NEIGHBOUR_OFFSETS) {
+            const nx = cell.x + offset.x;
+            const ny = cell.y + offset.y;
+            if (isCorridor(nx, ny) && !visited[ny * this.width + nx]) {
+              visited[ny * this.width + nx] = 1;
+              stack.push({ x: nx, y: ny });
+            }
+          }
+        }
+
+        longest = Math.max(longest, length);
+      }
+    }
+
+    return longest;
+  }
+
+  /**
+   * Check if a cell is the start or exit
+   */
+  isStartOrExit(x: number, y: number): boolean {
+    return (x === this.startPos.x && y === this.startPos.y) ||
+      (x === this.exitPos.x && y === this.exitPos.y);
+  }
+
+  /**
+   * Get the seed this maze was generated from
+   */
+  getSeed(): number {
+    return this.seed;
+  }
+
+  /**
+   * Get the maze grid for debugging
+   */
+  getGrid(): number[][] {
+    return this.grid;
+  }
+
+  /**
+   * Print maze to console for debugging
+   */
+  printMaze(): void {
+    console.log("Maze layout:");
+    for (let y = 0; y < this.height; y++) {
+      let row = "";
+      for (let x = 0; x < this.width; x++) {
+        if (x === this.startPos.x && y === this.startPos.y) {
+          row += "S"; // Start
+        } else if (x === this.exitPos.x && y === this.exitPos.y) {
+          row += "E"; // Exit
+        } else if (this.grid[y][x] === CELL.WALL) {
+          row += "█"; // Wall
+        } else if (this.grid[y][x] === CELL.KEY) {
+          row += "k";
+        } else if (this.grid[y][x] === CELL.DOOR) {
+          row += "D";
+        } else if (this.grid[y][x] === CELL.CLOCK) {
+          row += "c";
+        } else if (this.grid[y][x] === CELL.OIL) {
+          row += "o";
+        } else {
+          row += " "; // Path
+        }
+      }
+      console.log(row);
+    }
+  }
+}
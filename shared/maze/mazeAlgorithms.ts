@@ -0,0 +1,421 @@
+/**
+ * Maze Generation Algorithms
+ * Interchangeable strategies that carve a maze into a MazeGenerator grid.
+ * Every strategy receives a grid full of walls and carves paths on the odd
+ * coordinates, so start, exit and the wall layout follow the same contract.
+ */
+
+import type { Cell } from "./pathfinding";
+import type { SeededRandom } from "./random";
+
+// What an algorithm needs from the maze it carves into
+export interface CarvableMaze {
+  width: number;
+  height: number;
+  grid: number[][];
+  random: SeededRandom;
+  startPos: Cell;
+  isValidCell(x: number, y: number): boolean;
+}
+
+export interface MazeAlgorithm {
+  readonly name: string;
+  readonly label: string;
+  carve(maze: CarvableMaze): void;
+}
+
+const DIRECTIONS: readonly Cell[] = [
+  { x: 0, y: -1 }, // Up
+  { x: 1, y: 0 },  // Right
+  { x: 0, y: 1 },  // Down
+  { x: -1, y: 0 }  // Left
+];
+
+/**
+ * Get the four directions in random order
+ */
+function getRandomDirections(random: SeededRandom): Cell[] {
+  return random.shuffle(DIRECTIONS.map(dir => ({ ...dir })));
+}
+
+/**
+ * Get every carvable cell (odd coordinates inside the border)
+ */
+function getCells(maze: CarvableMaze): Cell[] {
+  const cells: Cell[] = [];
+  for (let y = 1; y < maze.height - 1; y += 2) {
+    for (let x = 1; x < maze.width - 1; x += 2) {
+      cells.push({ x, y });
+    }
+  }
+  return cells;
+}
+
+/**
+ * Get the cells two steps away in each direction that are inside the maze
+ */
+function getNeighbourCells(maze: CarvableMaze, x: number, y: number): Cell[] {
+  return DIRECTIONS
+    .map(dir => ({ x: x + dir.x * 2, y: y + dir.y * 2 }))
+    .filter(cell => maze.isValidCell(cell.x, cell.y));
+}
+
+/**
+ * Carve both cells and the wall between them
+ */
+function carvePassage(maze: CarvableMaze, from: Cell, to: Cell): void {
+  maze.grid[from.y][from.x] = 0;
+  maze.grid[(from.y + to.y) / 2][(from.x + to.x) / 2] = 0;
+  maze.grid[to.y][to.x] = 0;
+}
+
+/**
+ * Recursive backtracker (DFS)
+ * Long winding corridors with few branches
+ */
+export class RecursiveBacktracker implements MazeAlgorithm {
+  readonly name = "dfs";
+  readonly label = "Recursive Backtracker";
+
+  /**
+   * Carve a path using DFS with an explicit stack
+   * (no recursion, so very large mazes cannot overflow the call stack)
+   */
+  carve(maze: CarvableMaze): void {
+    const stack = [{ ...maze.startPos }];
+    maze.grid[maze.startPos.y][maze.startPos.x] = 0;
+
+    while (stack.length > 0) {
+      const { x, y } = stack[stack.length - 1];
+
+      // Find a random unvisited cell two steps away
+      const dir = getRandomDirections(maze.random).find(d => {
+        const newX = x + d.x * 2; // Move 2 cells to skip walls
+        const newY = y + d.y * 2;
+        return maze.isValidCell(newX, newY) && maze.grid[newY][newX] === 1;
+      });
+
+      if (!dir) {
+        // Dead end - backtrack
+        stack.pop();
+        continue;
+      }
+
+      // Carve the wall between current and new cell, then continue from there
+      maze.grid[y + dir.y][x + dir.x] = 0;
+      maze.grid[y + dir.y * 2][x + dir.x * 2] = 0;
+      stack.push({ x: x + dir.x * 2, y: y + dir.y * 2 });
+    }
+  }
+}
+
+/**
+ * Randomized Prim's algorithm
+ * Grows outward from the start, giving many short dead ends
+ */
+export class PrimAlgorithm implements MazeAlgorithm {
+  readonly name = "prim";
+  readonly label = "Prim's";
+
+  carve(maze: CarvableMaze): void {
+    const random = maze.random;
+    const frontier: Cell[] = [];
+    const inFrontier = new Set<string>();
+    const key = (cell: Cell) => `${cell.x},${cell.y}`;
+
+    const addFrontier = (x: number, y: number) => {
+      for (const cell of getNeighbourCells(maze, x, y)) {
+        if (maze.grid[cell.y][cell.x] === 1 && !inFrontier.has(key(cell))) {
+          inFrontier.add(key(cell));
+          frontier.push(cell);
+        }
+      }
+    };
+
+    maze.grid[maze.startPos.y][maze.startPos.x] = 0;
+    addFrontier(maze.startPos.x, maze.startPos.y);
+
+    while (frontier.length > 0) {
+      // Remove a random frontier cell (swap with last for O(1) removal)
+      const index = random.nextInt(frontier.length);
+      const cell = frontier[index];
+      frontier[index] = frontier[frontier.length - 1];
+      frontier.pop();
+
+      // Connect it to a random neighbour that is already part of the maze
+      const connected = getNeighbourCells(maze, cell.x, cell.y)
+        .filter(neighbour => maze.grid[neighbour.y][neighbour.x] === 0);
+      const neighbour = connected[random.nextInt(connected.length)];
+      carvePassage(maze, neighbour, cell);
+
+      addFrontier(cell.x, cell.y);
+    }
+  }
+}
+
+/**
+ * Randomized Kruskal's algorithm
+ * Joins random walls between separate regions, giving an even, bushy texture
+ */
+export class KruskalAlgorithm implements MazeAlgorithm {
+  readonly name = "kruskal";
+  readonly label = "Kruskal's";
+
+  carve(maze: CarvableMaze): void {
+    const cells = getCells(maze);
+    const index = (cell: Cell) => ((cell.y - 1) / 2) * Math.ceil((maze.width - 2) / 2) + (cell.x - 1) / 2;
+    const parents = cells.map((_, i) => i);
+
+    const find = (i: number) => {
+      while (parents[i] !== i) {
+        parents[i] = parents[parents[i]];
+        i = parents[i];
+      }
+      return i;
+    };
+
+    // Every wall between two horizontally or vertically adjacent cells
+    const edges: [Cell, Cell][] = [];
+    for (const cell of cells) {
+      for (const next of [{ x: cell.x + 2, y: cell.y }, { x: cell.x, y: cell.y + 2 }]) {
+        if (maze.isValidCell(next.x, next.y)) {
+          edges.push([cell, next]);
+        }
+      }
+    }
+
+    maze.random.shuffle(edges);
+
+    for (const cell of cells) {
+      maze.grid[cell.y][cell.x] = 0;
+    }
+
+    for (const [a, b] of edges) {
+      const rootA = find(index(a));
+      const rootB = find(index(b));
+      if (rootA !== rootB) {
+        parents[rootB] = rootA;
+        carvePassage(maze, a, b);
+      }
+    }
+  }
+}
+
+/**
+ * Wilson's algorithm
+ * Loop-erased random walks produce an unbiased (uniform) spanning tree
+ */
+export class WilsonAlgorithm implements MazeAlgorithm {
+  readonly name = "wilson";
+  readonly label = "Wilson's";
+
+  carve(maze: CarvableMaze): void {
+    const random = maze.random;
+    const cells = random.shuffle(getCells(maze));
+    const key = (cell: Cell) => `${cell.x},${cell.y}`;
+
+    const inMaze = new Set<string>();
+
+    // Seed the maze with a single cell
+    maze.grid[cells[0].y][cells[0].x] = 0;
+    inMaze.add(key(cells[0]));
+
+    for (const start of cells) {
+      if (inMaze.has(key(start))) continue;
+
+      // Random walk until the maze is hit, remembering the last exit from each cell
+      // (overwriting the exit erases any loops in the walk)
+      const exits = new Map<string, Cell>();
+      let current = start;
+      while (!inMaze.has(key(current))) {
+        const neighbours = getNeighbourCells(maze, current.x, current.y);
+        const next = neighbours[random.nextInt(neighbours.length)];
+        exits.set(key(current), next);
+        current = next;
+      }
+
+      // Carve the loop-erased walk into the maze
+      current = start;
+      while (!inMaze.has(key(current))) {
+        const next = exits.get(key(current))!;
+        carvePassage(maze, current, next);
+        inMaze.add(key(current));
+        current = next;
+      }
+    }
+  }
+}
+
+/**
+ * Eller's algorithm
+ * Builds the maze one row at a time, giving long horizontal runs
+ */
+export class EllerAlgorithm implements MazeAlgorithm {
+  readonly name = "eller";
+  readonly label = "Eller's";
+
+  carve(maze: CarvableMaze): void {
+    const random = maze.random;
+    const columns = Math.ceil((maze.width - 2) / 2);
+    const rows = Math.ceil((maze.height - 2) / 2);
+    let sets: (number | null)[] = new Array(columns).fill(null);
+    let nextSet = 0;
+
+    for (let row = 0; row < rows; row++) {
+      const y = row * 2 + 1;
+      const isLastRow = row === rows - 1;
+
+      // Cells without a set get a new one of their own
+      for (let col = 0; col < columns; col++) {
+        if (sets[col] === null) {
+          sets[col] = nextSet++;
+        }
+        maze.grid[y][col * 2 + 1] = 0;
+      }
+
+      // Randomly join neighbouring cells of different sets (always on the last row)
+      for (let col = 0; col < columns - 1; col++) {
+        if (sets[col] !== sets[col + 1] && (isLastRow || random.next() < 0.5)) {
+          const merged = sets[col + 1];
+          sets = sets.map(set => set === merged ? sets[col] : set);
+          maze.grid[y][col * 2 + 2] = 0;
+        }
+      }
+
+      if (isLastRow) break;
+
+      // Every set carves at least one passage down to the next row
+      const members = new Map<number, number[]>();
+      sets.forEach((set, col) => {
+        if (!members.has(set!)) members.set(set!, []);
+        members.get(set!)!.push(col);
+      });
+
+      const nextSets: (number | null)[] = new Array(columns).fill(null);
+      for (const [set, cols] of Array.from(members)) {
+        random.shuffle(cols);
+        const downCount = 1 + random.nextInt(cols.length);
+        for (const col of cols.slice(0, downCount)) {
+          maze.grid[y + 1][col * 2 + 1] = 0;
+          nextSets[col] = set;
+        }
+      }
+      sets = nextSets;
+    }
+  }
+}
+
+/**
+ * Growing Tree algorithm
+ * Mixes newest-cell (DFS-like) and random-cell (Prim-like) selection
+ */
+export class GrowingTreeAlgorithm implements MazeAlgorithm {
+  readonly name = "growingTree";
+  readonly label = "Growing Tree";
+  readonly newestBias: number; // chance of continuing from the newest cell
+
+  constructor(newestBias = 0.75) {
+    this.newestBias = newestBias;
+  }
+
+  carve(maze: CarvableMaze): void {
+    const random = maze.random;
+    const active = [{ ...maze.startPos }];
+    maze.grid[maze.startPos.y][maze.startPos.x] = 0;
+
+    while (active.length > 0) {
+      const index = random.next() < this.newestBias
+        ? active.length - 1
+        : random.nextInt(active.length);
+      const cell = active[index];
+
+      const unvisited = getNeighbourCells(maze, cell.x, cell.y)
+        .filter(neighbour => maze.grid[neighbour.y][neighbour.x] === 1);
+
+      if (unvisited.length > 0) {
+        const next = unvisited[random.nextInt(unvisited.length)];
+        carvePassage(maze, cell, next);
+        active.push(next);
+      } else {
+        active.splice(index, 1);
+      }
+    }
+  }
+}
+
+/**
+ * Recursive Division
+ * Starts from an open room and keeps splitting it with walls, giving long straight walls
+ */
+export class RecursiveDivisionAlgorithm implements MazeAlgorithm {
+  readonly name = "division";
+  readonly label = "Recursive Division";
+
+  carve(maze: CarvableMaze): void {
+    const random = maze.random;
+
+    // Open up the whole interior
+    for (let y = 1; y < maze.height - 1; y++) {
+      for (let x = 1; x < maze.width - 1; x++) {
+        maze.grid[y][x] = 0;
+      }
+    }
+
+    // Chambers are bounded by odd (cell) coordinates, inclusive
+    const chambers = [{ x1: 1, y1: 1, x2: maze.width - 2, y2: maze.height - 2 }];
+
+    while (chambers.length > 0) {
+      const { x1, y1, x2, y2 } = chambers.pop()!;
+      const width = x2 - x1;
+      const height = y2 - y1;
+      if (width < 2 && height < 2) continue;
+
+      const horizontal = height > width || (height === width && random.next() < 0.5);
+
+      if (horizontal) {
+        // Wall on an even row, with a gap on an odd column
+        const wallY = y1 + 1 + random.nextInt(height / 2) * 2;
+        const gapX = x1 + random.nextInt(width / 2 + 1) * 2;
+        for (let x = x1; x <= x2; x++) {
+          if (x !== gapX) maze.grid[wallY][x] = 1;
+        }
+        chambers.push({ x1, y1, x2, y2: wallY - 1 });
+        chambers.push({ x1, y1: wallY + 1, x2, y2 });
+      } else {
+        // Wall on an even column, with a gap on an odd row
+        const wallX = x1 + 1 + random.nextInt(width / 2) * 2;
+        const gapY = y1 + random.nextInt(height / 2 + 1) * 2;
+        for (let y = y1; y <= y2; y++) {
+          if (y !== gapY) maze.grid[y][wallX] = 1;
+        }
+        chambers.push({ x1, y1, x2: wallX - 1, y2 });
+        chambers.push({ x1: wallX + 1, y1, x2, y2 });
+      }
+    }
+  }
+}
+
+/**
+ * Registry of all algorithms by name
+ */
+export const MAZE_ALGORITHMS: Record<string, new () => MazeAlgorithm> = {
+  dfs: RecursiveBacktracker,
+  prim: PrimAlgorithm,
+  kruskal: KruskalAlgorithm,
+  wilson: WilsonAlgorithm,
+  eller: EllerAlgorithm,
+  growingTree: GrowingTreeAlgorithm,
+  division: RecursiveDivisionAlgorithm
+};
+
+/**
+ * Create a maze algorithm by name, falling back to DFS for unknown names
+ */
+export function createMazeAlgorithm(name: string): MazeAlgorithm {
+  const Algorithm = MAZE_ALGORITHMS[name];
+  if (!Algorithm) {
+    console.warn(`Unknown maze algorithm "${name}", using recursive backtracker`);
+    return new RecursiveBacktracker();
+  }
+  return new Algorithm();
+}
@@ -0,0 +1,114 @@
+/**
+ * Maze Codes
+ * Shareable text codes that describe exactly which maze to generate
+ * Format: <difficulty letter><width>x<height>-<seed in base 36>, e.g. M37x23-1Z4K8Q
+ * An optional -<algorithm letter> suffix pins a carving algorithm other than the
+ * difficulty's own, e.g. H51x31-9XK2-W for a Wilson maze
+ */
+
+import { hashString } from "./random";
+import type { Difficulty } from "./rules";
+
+export interface MazeConfig {
+  difficulty: Difficulty;
+  width: number;
+  height: number;
+  seed: number;
+  algorithm?: string;
+}
+
+const DIFFICULTY_LETTERS: Record<Difficulty, string> = {
+  easy: "E",
+  medium: "M",
+  hard: "H"
+};
+
+const ALGORITHM_LETTERS: Record<string, string> = {
+  dfs: "D",
+  prim: "P",
+  kruskal: "K",
+  wilson: "W",
+  eller: "E",
+  growingTree: "G",
+  division: "V"
+};
+
+const MIN_MAZE_SIZE = 5;
+export const MAX_MAZE_WIDTH = 501;
+export const MAX_MAZE_HEIGHT = 501;
+
+/**
+ * Format a seed as a short upper-case base 36 string
+ */
+export function formatSeed(seed: number): string {
+  return (seed >>> 0).toString(36).toUpperCase();
+}
+
+/**
+ * Build a maze code from a run configuration
+ */
+export function encodeMazeCode({ difficulty, width, height, seed, algorithm }: MazeConfig): string {
+  const letter = DIFFICULTY_LETTERS[difficulty] || "M";
+  const code = `${letter}${width}x${height}-${formatSeed(seed)}`;
+  return algorithm && ALGORITHM_LETTERS[algorithm] ? `${code}-${ALGORITHM_LETTERS[algorithm]}` : code;
+}
+
+/**
+ * Parse a maze code typed in by a player
+ * Full codes restore difficulty and size; anything else is treated as a plain seed.
+ * Returns null when there is nothing usable in the text.
+ */
+export function decodeMazeCode(code: string | null | undefined): MazeConfig | { seed: number } | null {
+  const text = (code || "").trim().toUpperCase();
+  if (!text) {
+    return null;
+  }
+
+  const match = text.match(/^([EMH])(\d+)X(\d+)-([0-9A-Z]+)(?:-([A-Z]))?$/);
+  if (match) {
+    const width = parseInt(match[2], 10);
+    const height = parseInt(match[3], 10);
+    if (!isValidMazeSize(width, height)) {
+      return null;
+    }
+
+    const difficulty = (Object.keys(DIFFICULTY_LETTERS) as Difficulty[])
+      .find(name => DIFFICULTY_LETTERS[name] === match[1])!;
+    const config: MazeConfig = { difficulty, width, height, seed: parseSeed(match[4]) };
+
+    if (match[5]) {
+      config.algorithm = Object.keys(ALGORITHM_LETTERS)
+        .find(name => ALGORITHM_LETTERS[name] === match[5]);
+      if (!config.algorithm) {
+        return null;
+      }
+    }
+
+    return config;
+  }
+
+  return { seed: parseSeed(text) };
+}
+
+/**
+ * Turn a seed string into a 32-bit seed
+ * Base 36 seeds round-trip exactly, other words are hashed.
+ */
+function parseSeed(text: string): number {
+  if (/^[0-9A-Z]{1,7}$/.test(text)) {
+    const value = parseInt(text, 36);
+    if (value <= 0xFFFFFFFF) {
+      return value >>> 0;
+    }
+  }
+  return hashString(text);
+}
+
+/**
+ * Check maze dimensions from a code are usable
+ */
+function isValidMazeSize(width: number, height: number): boolean {
+  return width % 2 === 1 && height % 2 === 1 &&
+    width >= MIN_MAZE_SIZE && width <= MAX_MAZE_WIDTH &&
+    height >= MIN_MAZE_SIZE && height <= MAX_MAZE_HEIGHT;
+}
@@ -0,0 +1,91 @@
+/**
+ * Movement Rules
+ * The player moves one cell at a time and can only enter path cells (locked doors need their key).
+ * Keys, clocks and oil are picked up as the move into their cell starts.
+ * Runs are logged as [ms since start, code] events: U/D/L/R for a move starting (u/d/l/r when
+ * sprinting), H for a hint, F for a flare dropped (flares don't move the player, but creatures
+ * notice a player standing in their light).
+ */
+
+import type { MazeGenerator } from "./maze";
+import type { Cell } from "./pathfinding";
+
+export type Direction = "up" | "down" | "left" | "right";
+
+export type InputEvent = [number, string];
+
+export const DIRECTION_OFFSETS: Record<Direction, Cell> = {
+  up: { x: 0, y: -1 },
+  down: { x: 0, y: 1 },
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 },
+};
+
+export const DIRECTION_CODES: Record<Direction, string> = {
+  up: "U",
+  down: "D",
+  left: "L",
+  right: "R",
+};
+
+export const SPRINT_CODES: Record<Direction, string> = {
+  up: "u",
+  down: "d",
+  left: "l",
+  right: "r",
+};
+
+export const MOVE_CODE_OFFSETS: Record<string, Cell> = {
+  U: DIRECTION_OFFSETS.up,
+  D: DIRECTION_OFFSETS.down,
+  L: DIRECTION_OFFSETS.left,
+  R: DIRECTION_OFFSETS.right,
+  u: DIRECTION_OFFSETS.up,
+  d: DIRECTION_OFFSETS.down,
+  l: DIRECTION_OFFSETS.left,
+  r: DIRECTION_OFFSETS.right,
+};
+
+export const HINT_EVENT = "H";
+export const FLARE_EVENT = "F";
+
+// Share of a move after which the player is close enough to the exit to win
+export const EXIT_REACH_PROGRESS = 0.5;
+
+const NO_KEYS: ReadonlySet<number> = new Set();
+
+/**
+ * Check the player may step into a cell (out of bounds counts as wall)
+ * Locked doors only let through a player holding their key
+ */
+export function canMoveTo(
+  maze: Pick<MazeGenerator, "isOpen">,
+  x: number,
+  y: number,
+  keys: ReadonlySet<number> = NO_KEYS,
+): boolean {
+  return maze.isOpen(x, y, keys);
+}
+
+/**
+ * Check a move code is a sprinting move
+ */
+export function isSprintCode(code: string): boolean {
+  return Object.values(SPRINT_CODES).includes(code);
+}
+
+/**
+ * Milliseconds a logged move takes: sprinting moves are `sprintSpeed` times faster
+ */
+export function getMoveDuration(code: string, moveDuration: number, sprintSpeed = 1): number {
+  return isSprintCode(code) ? Math.round(moveDuration / sprintSpeed) : moveDuration;
+}
+
+/**
+ * Ease a move's progress (0-1) so it starts and ends smoothly
+ */
+export function easeMove(progress: number): number {
+  return progress < 0.5
+    ? 2 * progress * progress
+    : 1 - Math.pow(-2 * progress + 2, 2) / 2;
+}
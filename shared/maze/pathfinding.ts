@@ -0,0 +1,235 @@
+/**
+ * Grid Pathfinding
+ * BFS and A* shortest paths over a width x height grid of cells
+ * Cells are { x, y }; isPassable(x, y) decides which cells can be entered
+ */
+
+export interface Cell {
+  x: number;
+  y: number;
+}
+
+export type IsPassable = (x: number, y: number) => boolean;
+
+export const NEIGHBOUR_OFFSETS: readonly Cell[] = [
+  { x: 0, y: -1 }, // Up
+  { x: 1, y: 0 },  // Right
+  { x: 0, y: 1 },  // Down
+  { x: -1, y: 0 }  // Left
+];
+
+/**
+ * Walk the parent links back from the goal into a start-to-goal path
+ */
+function buildPath(parents: Int32Array, width: number, goalIndex: number): Cell[] {
+  const path: Cell[] = [];
+  for (let index = goalIndex; index !== -1; index = parents[index]) {
+    path.push({ x: index % width, y: Math.floor(index / width) });
+  }
+  return path.reverse();
+}
+
+/**
+ * Check a cell can be used as a start or goal
+ */
+function isInside(cell: Cell, width: number, height: number): boolean {
+  return cell.x >= 0 && cell.x < width && cell.y >= 0 && cell.y < height;
+}
+
+/**
+ * Breadth-first distances from a cell (or the nearest of several cells) to every reachable cell
+ * Returns an Int32Array indexed by y * width + x, with -1 for unreachable cells
+ */
+export function getDistanceMap(width: number, height: number, isPassable: IsPassable, from: Cell | Cell[]): Int32Array {
+  const distances = new Int32Array(width * height).fill(-1);
+  const queue = new Int32Array(width * height);
+  let head = 0;
+  let tail = 0;
+
+  for (const cell of Array.isArray(from) ? from : [from]) {
+    const index = cell.y * width + cell.x;
+    if (!isInside(cell, width, height) || !isPassable(cell.x, cell.y) || distances[index] === 0) continue;
+
+    distances[index] = 0;
+    queue[tail++] = index;
+  }
+
+  while (head < tail) {
+    const index = queue[head++];
+    const x = index % width;
+    const y = Math.floor(index / width);
+
+    for (const offset of NEIGHBOUR_OFFSETS) {
+      const nx = x + offset.x;
+      const ny = y + offset.y;
+      if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+
+      const next = ny * width + nx;
+      if (distances[next] === -1 && isPassable(nx, ny)) {
+        distances[next] = distances[index] + 1;
+        queue[tail++] = next;
+      }
+    }
+  }
+
+  return distances;
+}
+
+/**
+ * Shortest path using breadth-first search
+ * Returns the cells from start to goal (inclusive), or null when unreachable
+ */
+export function findPathBFS(width: number, height: number, isPassable: IsPassable, start: Cell, goal: Cell): Cell[] | null {
+  if (!isInside(start, width, height) || !isInside(goal, width, height) ||
+    !isPassable(start.x, start.y) || !isPassable(goal.x, goal.y)) {
+    return null;
+  }
+
+  const parents = new Int32Array(width * height).fill(-2); // -2 = unvisited, -1 = start
+  const queue = new Int32Array(width * height);
+  let head = 0;
+  let tail = 0;
+
+  const startIndex = start.y * width + start.x;
+  const goalIndex = goal.y * width + goal.x;
+  parents[startIndex] = -1;
+  queue[tail++] = startIndex;
+
+  while (head < tail) {
+    const index = queue[head++];
+    if (index === goalIndex) {
+      return buildPath(parents, width, goalIndex);
+    }
+
+    const x = index % width;
+    const y = Math.floor(index / width);
+
+    for (const offset of NEIGHBOUR_OFFSETS) {
+      const nx = x + offset.x;
+      const ny = y + offset.y;
+      if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+
+      const next = ny * width + nx;
+      if (parents[next] === -2 && isPassable(nx, ny)) {
+        parents[next] = index;
+        queue[tail++] = next;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Shortest path using A* with a Manhattan distance heuristic
+ * Returns the cells from start to goal (inclusive), or null when unreachable
+ */
+export function findPathAStar(width: number, height: number, isPassable: IsPassable, start: Cell, goal: Cell): Cell[] | null {
+  if (!isInside(start, width, height) || !isInside(goal, width, height) ||
+    !isPassable(start.x, start.y) || !isPassable(goal.x, goal.y)) {
+    return null;
+  }
+
+  const size = width * height;
+  const parents = new Int32Array(size).fill(-1);
+  const costs = new Float64Array(size).fill(Infinity);
+  const closed = new Uint8Array(size);
+  const open = new MinHeap();
+
+  const heuristic = (x: number, y: number) => Math.abs(x - goal.x) + Math.abs(y - goal.y);
+  const startIndex = start.y * width + start.x;
+  const goalIndex = goal.y * width + goal.x;
+
+  costs[startIndex] = 0;
+  open.push(startIndex, heuristic(start.x, start.y));
+
+  while (open.size > 0) {
+    const index = open.pop();
+    if (index === goalIndex) {
+      return buildPath(parents, width, goalIndex);
+    }
+    if (closed[index]) continue;
+    closed[index] = 1;
+
+    const x = index % width;
+    const y = Math.floor(index / width);
+
+    for (const offset of NEIGHBOUR_OFFSETS) {
+      const nx = x + offset.x;
+      const ny = y + offset.y;
+      if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+
+      const next = ny * width + nx;
+      if (closed[next] || !isPassable(nx, ny)) continue;
+
+      const cost = costs[index] + 1;
+      if (cost < costs[next]) {
+        costs[next] = cost;
+        parents[next] = index;
+        open.push(next, cost + heuristic(nx, ny));
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Minimal binary heap of (value, priority) pairs for A*
+ */
+class MinHeap {
+  private values: number[];
+  private priorities: number[];
+
+  constructor() {
+    this.values = [];
+    this.priorities = [];
+  }
+
+  get size(): number {
+    return this.values.length;
+  }
+
+  push(value: number, priority: number): void {
+    this.values.push(value);
+    this.priorities.push(priority);
+
+    let i = this.values.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.priorities[parent] <= this.priorities[i]) break;
+      this.swap(i, parent);
+      i = parent;
+    }
+  }
+
+  pop(): number {
+    const top = this.values[0];
+    const lastValue = this.values.pop()!;
+    const lastPriority = this.priorities.pop()!;
+
+    if (this.values.length > 0) {
+      this.values[0] = lastValue;
+      this.priorities[0] = lastPriority;
+
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < this.values.length && this.priorities[left] < this.priorities[smallest]) smallest = left;
+        if (right < this.values.length && this.priorities[right] < this.priorities[smallest]) smallest = right;
+        if (smallest === i) break;
+        this.swap(i, smallest);
+        i = smallest;
+      }
+    }
+
+    return top;
+  }
+
+  private swap(a: number, b: number): void {
+    [this.values[a], this.values[b]] = [this.values[b], this.values[a]];
+    [this.priorities[a], this.priorities[b]] = [this.priorities[b], this.priorities[a]];
+  }
+}
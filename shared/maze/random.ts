@@ -0,0 +1,62 @@
+/**
+ * Seeded Random Number Generator
+ * Small self-contained PRNG (mulberry32) so a maze can be recreated from its seed
+ */
+
+export class SeededRandom {
+  readonly seed: number;
+  private state: number;
+
+  constructor(seed: number) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Get the next random float in [0, 1)
+   */
+  next(): number {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Get a random integer in [0, max)
+   */
+  nextInt(max: number): number {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Shuffle an array in place (Fisher-Yates)
+   */
+  shuffle<T>(array: T[]): T[] {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = this.nextInt(i + 1);
+      [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+  }
+}
+
+/**
+ * Create a fresh random 32-bit seed
+ */
+export function createRandomSeed(): number {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Hash any text into a 32-bit seed (FNV-1a)
+ */
+export function hashString(text: string): number {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
@@ -0,0 +1,122 @@
+/**
+ * Gameplay Rules
+ * Difficulty numbers and time limits that the game and the server's run checks must agree on
+ */
+
+export const difficulties = ["easy", "medium", "hard"] as const;
+
+export type Difficulty = (typeof difficulties)[number];
+
+export interface DifficultyRules {
+  mazeWidth: number;
+  mazeHeight: number;
+  algorithm: string;
+  moveDuration: number; // milliseconds per one-cell move
+  parSlack: number; // time limit = par time x slack
+  minTimeLimit: number; // seconds
+  hintsAllowed: number;
+  hintTimeCost: number; // seconds taken off the clock per hint
+  enemyCount: number; // shadow creatures in the maze
+  enemyPatrolStep: number; // milliseconds per cell while a creature wanders
+  enemyChaseStep: number; // milliseconds per cell while it hunts the player
+  enemySightRange: number; // cells a creature can see along a straight corridor
+  enemyLightRange: number; // cells from the player at which a creature notices a full lantern
+  enemyEmberRange: number; // ...and a lantern burnt down to an ember
+  lockCount: number; // most locked doors on the way to the exit (each with its key)
+  clockCount: number; // time-bonus clocks
+  clockBonus: number; // seconds a clock adds to the countdown
+  fuelCapacity: number; // seconds a full lantern burns (0 = it never runs down, and there is no sprint)
+  oilCount: number; // oil flasks in the maze
+  oilRefill: number; // seconds of fuel a flask pours back
+  sprintSpeed: number; // how many times faster a sprinting move is
+  sprintFuelCost: number; // seconds of fuel burnt by each sprinting move
+}
+
+export const DIFFICULTY_RULES: Record<Difficulty, DifficultyRules> = {
+  easy: {
+    mazeWidth: 25,
+    mazeHeight: 15,
+    algorithm: "prim", // many short dead ends, easy to back out of
+    moveDuration: 160, // slower movement for easy
+    parSlack: 6,
+    minTimeLimit: 45,
+    hintsAllowed: 3,
+    hintTimeCost: 5,
+    enemyCount: 1,
+    enemyPatrolStep: 650,
+    enemyChaseStep: 480,
+    enemySightRange: 6,
+    enemyLightRange: 6, // the light reaches 6 cells on easy
+    enemyEmberRange: 2.5,
+    lockCount: 1,
+    clockCount: 3,
+    clockBonus: 5,
+    fuelCapacity: 60,
+    oilCount: 4,
+    oilRefill: 30,
+    sprintSpeed: 1.6,
+    sprintFuelCost: 0.25,
+  },
+  medium: {
+    mazeWidth: 37,
+    mazeHeight: 23,
+    algorithm: "growingTree", // mix of corridors and branches
+    moveDuration: 120,
+    parSlack: 3.5,
+    minTimeLimit: 30,
+    hintsAllowed: 2,
+    hintTimeCost: 8,
+    enemyCount: 2,
+    enemyPatrolStep: 520,
+    enemyChaseStep: 340,
+    enemySightRange: 8,
+    enemyLightRange: 5,
+    enemyEmberRange: 2,
+    lockCount: 2,
+    clockCount: 3,
+    clockBonus: 5,
+    fuelCapacity: 50,
+    oilCount: 4,
+    oilRefill: 25,
+    sprintSpeed: 1.6,
+    sprintFuelCost: 0.3,
+  },
+  hard: {
+    mazeWidth: 51,
+    mazeHeight: 31,
+    algorithm: "dfs", // long winding corridors
+    moveDuration: 90, // faster movement for hard
+    parSlack: 1.8,
+    minTimeLimit: 20,
+    hintsAllowed: 1,
+    hintTimeCost: 10,
+    enemyCount: 3,
+    enemyPatrolStep: 420,
+    enemyChaseStep: 260,
+    enemySightRange: 10,
+    enemyLightRange: 4,
+    enemyEmberRange: 1.6,
+    lockCount: 3,
+    clockCount: 2,
+    clockBonus: 4,
+    fuelCapacity: 40,
+    oilCount: 3,
+    oilRefill: 20,
+    sprintSpeed: 1.5,
+    sprintFuelCost: 0.4,
+  },
+};
+
+/**
+ * Seconds needed to walk the shortest route (keys included) without stopping
+ */
+export function calculateParTime(solutionLength: number, moveDuration: number): number {
+  return Math.max(0, solutionLength) * moveDuration / 1000;
+}
+
+/**
+ * Time limit in whole seconds for a maze with the given par time
+ */
+export function calculateTimeLimit(parTime: number, rules: DifficultyRules): number {
+  return Math.max(rules.minTimeLimit, Math.ceil(parTime * rules.parSlack));
+}
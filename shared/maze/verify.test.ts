@@ -0,0 +1,201 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CAMPAIGN_LEVELS, getLevelRules } from "./campaign";
+import { EnemySimulation, PlayerTrack } from "./enemies";
+import { MazeGenerator } from "./maze";
+import { encodeMazeCode, type MazeConfig } from "./mazeCode";
+import {
+  DIRECTION_CODES,
+  HINT_EVENT,
+  MOVE_CODE_OFFSETS,
+  SPRINT_CODES,
+  canMoveTo,
+  type Direction,
+  type InputEvent,
+} from "./movement";
+import { findPathBFS, type Cell } from "./pathfinding";
+import { DIFFICULTY_RULES, type Difficulty } from "./rules";
+import { verifyCampaignRun, verifyRun, type RunLog, type RunSubmission } from "./verify";
+
+const SEED = 20240601;
+
+/**
+ * Build the maze a config describes, as the game and the server do
+ */
+function buildMaze(config: MazeConfig): MazeGenerator {
+  const rules = DIFFICULTY_RULES[config.difficulty];
+  const maze = new MazeGenerator(config.width, config.height, config.seed, config.algorithm || rules.algorithm);
+  maze.generate();
+  maze.placeItems(rules.lockCount, rules.clockCount, rules.oilCount);
+  return maze;
+}
+
+/**
+ * Input code of a one-cell step
+ */
+function moveCode(dx: number, dy: number): string {
+  const code = Object.keys(MOVE_CODE_OFFSETS).find(key =>
+    MOVE_CODE_OFFSETS[key].x === dx && MOVE_CODE_OFFSETS[key].y === dy);
+  assert.ok(code, `no move code for (${dx}, ${dy})`);
+  return code;
+}
+
+/**
+ * The input log of walking a list of cells, each move starting as the last one ends
+ */
+function walkLog(moveDuration: number, cells: Cell[]): RunLog {
+  const events: InputEvent[] = [];
+  for (let i = 1; i < cells.length; i++) {
+    const dx = cells[i].x - cells[i - 1].x;
+    const dy = cells[i].y - cells[i - 1].y;
+    events.push([(i - 1) * moveDuration, moveCode(dx, dy)]);
+  }
+
+  // The exit counts as reached halfway into the last move
+  const elapsed = ((cells.length - 1.5) * moveDuration + 10) / 1000;
+  return { elapsed, hintsUsed: 0, events };
+}
+
+/**
+ * A run that walks a list of cells on a difficulty's maze
+ */
+function walkCells(difficulty: Difficulty, config: MazeConfig, cells: Cell[]): RunSubmission {
+  return {
+    difficulty,
+    mazeCode: encodeMazeCode(config),
+    seed: config.seed,
+    ...walkLog(DIFFICULTY_RULES[difficulty].moveDuration, cells),
+  };
+}
+
+/**
+ * An honest run: walk the shortest route without stopping
+ */
+function walkSolution(difficulty: Difficulty, seed = SEED, config?: MazeConfig): RunSubmission {
+  const rules = DIFFICULTY_RULES[difficulty];
+  const mazeConfig = config ?? { difficulty, width: rules.mazeWidth, height: rules.mazeHeight, seed };
+  const solution = buildMaze(mazeConfig).getSolution();
+  assert.ok(solution, "maze has no solution");
+  return walkCells(difficulty, mazeConfig, solution);
+}
+
+/**
+ * The reason a run is rejected (failing the test if it is accepted)
+ */
+function rejectionOf(run: RunSubmission, extraMazes?: MazeConfig[]): string {
+  const verdict = verifyRun(run, extraMazes);
+  assert.ok(!verdict.valid, "run was accepted");
+  return verdict.reason;
+}
+
+test("accepts an honest winning run on every difficulty", () => {
+  for (const difficulty of Object.keys(DIFFICULTY_RULES) as Difficulty[]) {
+    const verdict = verifyRun(walkSolution(difficulty));
+    assert.equal(verdict.valid, true, `${difficulty}: ${!verdict.valid && verdict.reason}`);
+  }
+});
+
+test("rejects a move into a wall", () => {
+  const run = walkSolution("easy");
+  const rules = DIFFICULTY_RULES.easy;
+  const maze = buildMaze({ difficulty: "easy", width: rules.mazeWidth, height: rules.mazeHeight, seed: SEED });
+  const start = maze.getStartPosition();
+  const code = Object.keys(MOVE_CODE_OFFSETS).find(key =>
+    !canMoveTo(maze, start.x + MOVE_CODE_OFFSETS[key].x, start.y + MOVE_CODE_OFFSETS[key].y));
+  assert.ok(code, "start has no wall beside it");
+
+  assert.match(rejectionOf({ ...run, events: [[0, code], ...run.events] }), /walks into a wall/);
+});
+
+test("rejects a move through a locked door without its key", () => {
+  const rules = DIFFICULTY_RULES.medium;
+  const config: MazeConfig = { difficulty: "medium", width: rules.mazeWidth, height: rules.mazeHeight, seed: SEED };
+  const maze = buildMaze(config);
+  assert.ok(maze.locks.length > 0, "maze has no locked doors");
+
+  // The plain shortest route goes straight through the doors, skipping the keys
+  const route = maze.findPath(maze.getStartPosition(), maze.getExitPosition());
+  assert.ok(route, "maze has no route");
+  assert.match(rejectionOf(walkCells("medium", config, route)), /walks into a locked door/);
+});
+
+test("rejects a claimed time earlier than the log reaches the exit", () => {
+  const run = walkSolution("medium");
+  assert.match(rejectionOf({ ...run, elapsed: run.elapsed - 1 }), /faster than the input log allows/);
+});
+
+test("rejects a hint count that doesn't match the log", () => {
+  const run = walkSolution("easy");
+  const hinted = { ...run, events: [[0, HINT_EVENT], ...run.events] as InputEvent[] };
+
+  assert.match(rejectionOf(hinted), /Claimed 0 hints but the input log uses 1/);
+  assert.equal(verifyRun({ ...hinted, hintsUsed: 1 }).valid, true);
+});
+
+test("rejects sprinting once the lantern has burnt out", () => {
+  const rules = DIFFICULTY_RULES.easy;
+  const run = walkSolution("easy");
+
+  // Stand still until the fuel is gone, then sprint the first step
+  const delay = rules.fuelCapacity * 1000 + 1000;
+  const [[, first], ...rest] = run.events;
+  const direction = (Object.keys(DIRECTION_CODES) as Direction[]).find(key => DIRECTION_CODES[key] === first);
+  assert.ok(direction, "first event is not a move");
+  const events: InputEvent[] = [
+    [delay, SPRINT_CODES[direction]],
+    ...rest.map(([time, code]): InputEvent => [time + delay, code]),
+  ];
+
+  assert.match(rejectionOf({ ...run, events, elapsed: run.elapsed + delay / 1000 }), /Sprints with an empty lantern/);
+});
+
+test("only accepts a custom maze when the caller allows it", () => {
+  const custom: MazeConfig = { difficulty: "easy", width: 21, height: 13, seed: SEED, algorithm: "prim" };
+  const run = walkSolution("easy", SEED, custom);
+
+  assert.match(rejectionOf(run), /not a standard maze/);
+  assert.equal(verifyRun(run, [custom]).valid, true);
+});
+
+test("the shortest route gets past the creatures on every difficulty", () => {
+  for (const difficulty of Object.keys(DIFFICULTY_RULES) as Difficulty[]) {
+    for (let seed = 1; seed <= 40; seed++) {
+      const verdict = verifyRun(walkSolution(difficulty, seed));
+      assert.equal(verdict.valid, true, `${difficulty} seed ${seed}: ${!verdict.valid && verdict.reason}`);
+    }
+  }
+});
+
+test("the route of every campaign level gets past its creatures", () => {
+  for (const level of CAMPAIGN_LEVELS) {
+    const rules = getLevelRules(level);
+    const maze = new MazeGenerator(level.width, level.height, level.seed, rules.algorithm);
+    maze.generate();
+    maze.placeItems(rules.lockCount, rules.clockCount, rules.oilCount);
+    const solution = maze.getSolution();
+    assert.ok(solution, `level ${level.id} has no solution`);
+
+    const verdict = verifyCampaignRun({ levelId: level.id, ...walkLog(rules.moveDuration, solution) });
+    assert.equal(verdict.valid, true, `level ${level.id}: ${!verdict.valid && verdict.reason}`);
+  }
+});
+
+test("rejects a run that walks into a creature", () => {
+  const rules = DIFFICULTY_RULES.medium;
+  const config: MazeConfig = { difficulty: "medium", width: rules.mazeWidth, height: rules.mazeHeight, seed: SEED };
+  const maze = buildMaze(config);
+  const start = maze.getStartPosition();
+  const { enemies } = new EnemySimulation(maze, rules, new PlayerTrack(start, rules.moveDuration));
+
+  // Walk to a creature that no locked door hides, then on to the exit
+  const noKeys = new Set<number>();
+  const toEnemy = enemies
+    .map(enemy => findPathBFS(maze.width, maze.height, (x, y) => maze.isOpen(x, y, noKeys), start, enemy.cell))
+    .find(path => path !== null);
+  assert.ok(toEnemy, "every creature is behind a locked door");
+  const toExit = maze.findRouteToExit(toEnemy[toEnemy.length - 1]);
+  assert.ok(toExit, "exit is cut off");
+
+  const run = walkCells("medium", config, [...toEnemy, ...toExit.slice(1)]);
+  assert.match(rejectionOf(run), /Caught by a shadow creature/);
+});
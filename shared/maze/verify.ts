@@ -0,0 +1,227 @@
+/**
+ * Run Verification
+ * Re-plays a submitted input log on the seeded maze to check a run really
+ * reached the exit as fast as it claims, without being caught on the way,
+ * only through doors it held the key for and only sprinting with fuel to burn
+ */
+
+import { getCampaignLevel, getLevelRules } from "./campaign";
+import { EnemySimulation, PlayerTrack } from "./enemies";
+import { CELL, Inventory } from "./items";
+import { Lantern } from "./lantern";
+import { LightTrack } from "./light";
+import { MazeGenerator } from "./maze";
+import { decodeMazeCode, type MazeConfig } from "./mazeCode";
+import {
+  EXIT_REACH_PROGRESS,
+  FLARE_EVENT,
+  HINT_EVENT,
+  MOVE_CODE_OFFSETS,
+  canMoveTo,
+  getMoveDuration,
+  isSprintCode,
+  type InputEvent,
+} from "./movement";
+import { DIFFICULTY_RULES, calculateParTime, calculateTimeLimit, type Difficulty, type DifficultyRules } from "./rules";
+
+// What any submitted run claims, plus the input log to check it against
+export interface RunLog {
+  elapsed: number; // seconds
+  hintsUsed: number;
+  events: InputEvent[];
+}
+
+export interface RunSubmission extends RunLog {
+  difficulty: Difficulty;
+  mazeCode: string;
+  seed: number;
+}
+
+export interface CampaignRunSubmission extends RunLog {
+  levelId: number;
+}
+
+export type RunVerdict =
+  | { valid: true; parTime: number; timeLimit: number; timeRemaining: number; arrivalTime: number }
+  | { valid: false; reason: string };
+
+// Event times are rounded to whole milliseconds when recorded
+const TIMING_TOLERANCE_MS = 2;
+
+function reject(reason: string): RunVerdict {
+  return { valid: false, reason };
+}
+
+/**
+ * Check a maze is the size and algorithm its difficulty always plays,
+ * as opposed to a custom size or algorithm pinned in a hand-made code
+ */
+export function isStandardMaze(config: MazeConfig): boolean {
+  const rules = DIFFICULTY_RULES[config.difficulty];
+  return config.width === rules.mazeWidth && config.height === rules.mazeHeight &&
+    (config.algorithm || rules.algorithm) === rules.algorithm;
+}
+
+/**
+ * Check a submitted run against the maze it claims to be on
+ * Only standard mazes count, plus any `extraMazes` the caller allows (such as the daily challenge)
+ */
+export function verifyRun(run: RunSubmission, extraMazes: MazeConfig[] = []): RunVerdict {
+  const config = decodeMazeCode(run.mazeCode);
+  if (!config || !("difficulty" in config)) {
+    return reject("Maze code is not a full maze code");
+  }
+  if (config.difficulty !== run.difficulty) {
+    return reject("Maze code belongs to a different difficulty");
+  }
+  if (config.seed !== run.seed) {
+    return reject("Seed does not match the maze code");
+  }
+
+  const rules = DIFFICULTY_RULES[run.difficulty];
+  const algorithm = config.algorithm || rules.algorithm;
+  const isExtra = extraMazes.some(maze =>
+    maze.difficulty === config.difficulty && maze.seed === config.seed && maze.width === config.width &&
+    maze.height === config.height && (maze.algorithm || rules.algorithm) === algorithm);
+  if (!isStandardMaze(config) && !isExtra) {
+    return reject("Maze code is not a standard maze for its difficulty");
+  }
+
+  const maze = new MazeGenerator(config.width, config.height, config.seed, algorithm);
+  return replayRun(maze, rules, run);
+}
+
+/**
+ * Check a submitted run of a campaign level, on the level's own maze and rules
+ */
+export function verifyCampaignRun(run: CampaignRunSubmission): RunVerdict {
+  const level = getCampaignLevel(run.levelId);
+  if (!level) {
+    return reject(`Unknown campaign level ${run.levelId}`);
+  }
+
+  const rules = getLevelRules(level);
+  const maze = new MazeGenerator(level.width, level.height, level.seed, rules.algorithm);
+  return replayRun(maze, rules, run);
+}
+
+/**
+ * Generate the maze and walk the input log on it
+ */
+function replayRun(maze: MazeGenerator, rules: DifficultyRules, run: RunLog): RunVerdict {
+  maze.generate();
+  maze.placeItems(rules.lockCount, rules.clockCount, rules.oilCount);
+
+  const solution = maze.getSolution();
+  if (!solution) {
+    return reject("Maze has no route to the exit");
+  }
+  const parTime = calculateParTime(solution.length - 1, rules.moveDuration);
+  const timeLimit = calculateTimeLimit(parTime, rules);
+
+  // Walk the input log
+  const exit = maze.getExitPosition();
+  let cell = maze.getStartPosition();
+  let previousTime = 0;
+  let moveEnd = 0;
+  let hints = 0;
+  let clocks = 0;
+  const inventory = new Inventory(maze);
+  const lantern = new Lantern(rules);
+  const light = new LightTrack(rules, lantern);
+  let arrivalTime: number | null = null;
+
+  for (let i = 0; i < run.events.length; i++) {
+    const [time, code] = run.events[i];
+    const label = `event ${i + 1}`;
+
+    if (time < previousTime) {
+      return reject(`Input log is out of order at ${label}`);
+    }
+    if (arrivalTime !== null) {
+      return reject(`Input log continues after the exit was reached (${label})`);
+    }
+    previousTime = time;
+
+    // A burning flare lights up a player near it for the creatures
+    if (code === FLARE_EVENT) {
+      light.addFlare(time, cell);
+      continue;
+    }
+    if (code === HINT_EVENT) {
+      hints++;
+      if (hints > rules.hintsAllowed) {
+        return reject(`More hints than the ${rules.hintsAllowed} allowed (${label})`);
+      }
+      continue;
+    }
+
+    const offset = MOVE_CODE_OFFSETS[code];
+    if (!offset) {
+      return reject(`Unknown input "${code}" at ${label}`);
+    }
+    if (time + TIMING_TOLERANCE_MS < moveEnd) {
+      return reject(`Move starts before the previous move finished (${label})`);
+    }
+
+    const next = { x: cell.x + offset.x, y: cell.y + offset.y };
+    if (!canMoveTo(maze, next.x, next.y, inventory.keys)) {
+      const obstacle = maze.getCell(next.x, next.y) === CELL.DOOR ? "a locked door" : "a wall";
+      return reject(`Move walks into ${obstacle} at (${next.x}, ${next.y}) (${label})`);
+    }
+
+    // Sprinting burns its fuel as the move starts, before any oil in the next cell is poured in
+    if (isSprintCode(code)) {
+      if (!lantern.canSprint(time)) {
+        return reject(`Sprints with an empty lantern (${label})`);
+      }
+      lantern.sprint(time);
+    }
+
+    // A clock only counts if the countdown hadn't already run out
+    const pickup = inventory.collect(next.x, next.y);
+    if (pickup?.kind === "clock") {
+      const left = timeLimit - Math.floor(time / 1000) - hints * rules.hintTimeCost + clocks * rules.clockBonus;
+      if (left <= 0) {
+        return reject(`Time ran out before the clock at (${next.x}, ${next.y}) (${label})`);
+      }
+      clocks++;
+    } else if (pickup?.kind === "oil") {
+      lantern.refill(time);
+    }
+
+    const duration = getMoveDuration(code, rules.moveDuration, rules.sprintSpeed);
+    cell = next;
+    moveEnd = time + duration;
+    if (cell.x === exit.x && cell.y === exit.y) {
+      arrivalTime = time + duration * EXIT_REACH_PROGRESS;
+    }
+  }
+
+  if (arrivalTime === null) {
+    return reject("Input log never reaches the exit");
+  }
+
+  // The shadow creatures follow from the seed and the moves, so they can be re-run too
+  const track = PlayerTrack.fromEvents(maze.getStartPosition(), rules.moveDuration, run.events, rules.sprintSpeed);
+  const enemies = new EnemySimulation(maze, rules, track, light);
+  if (enemies.advance(arrivalTime) && enemies.caught) {
+    return reject(`Caught by a shadow creature at ${(enemies.caught.time / 1000).toFixed(2)}s`);
+  }
+  if (hints !== run.hintsUsed) {
+    return reject(`Claimed ${run.hintsUsed} hints but the input log uses ${hints}`);
+  }
+  if (run.elapsed * 1000 + TIMING_TOLERANCE_MS < arrivalTime) {
+    return reject(
+      `Claimed time ${run.elapsed.toFixed(2)}s is faster than the input log allows (${(arrivalTime / 1000).toFixed(2)}s)`,
+    );
+  }
+
+  const timeRemaining =
+    timeLimit - Math.floor(run.elapsed) - hints * rules.hintTimeCost + clocks * rules.clockBonus;
+  if (timeRemaining <= 0) {
+    return reject("Run finished after the time limit");
+  }
+
+  return { valid: true, parTime, timeLimit, timeRemaining, arrivalTime: arrivalTime / 1000 };
+}
@@ -1,6 +1,7 @@
-import { pgTable, text, serial, integer, boolean } from "drizzle-orm/pg-core";
+import { pgTable, text, serial, integer, boolean, doublePrecision, timestamp, bigint, varchar, json, index, unique } from "drizzle-orm/pg-core";
 import { createInsertSchema } from "drizzle-zod";
 import { z } from "zod";
+import { difficulties } from "./maze/rules";
 
 export const users = pgTable("users", {
   id: serial("id").primaryKey(),
@@ -13,5 +14,152 @@ export const insertUserSchema = createInsertSchema(users).pick({
   password: true,
 });
 
+// Sign-up form: the password is hashed before it reaches storage
+export const registerUserSchema = insertUserSchema.extend({
+  username: z.string().trim().min(3).max(32).regex(/^[A-Za-z0-9_-]+$/, "Only letters, digits, _ and -"),
+  password: z.string().min(8).max(128),
+});
+
 export type InsertUser = z.infer<typeof insertUserSchema>;
 export type User = typeof users.$inferSelect;
+
+// Login sessions, in the layout connect-pg-simple expects
+export const sessions = pgTable("session", {
+  sid: varchar("sid").primaryKey(),
+  sess: json("sess").notNull(),
+  expire: timestamp("expire", { precision: 6 }).notNull(),
+}, (table) => [
+  index("IDX_session_expire").on(table.expire),
+]);
+
+// One ranked daily challenge attempt per signed-in player per day
+export const dailyAttempts = pgTable("daily_attempts", {
+  id: serial("id").primaryKey(),
+  date: text("date").notNull(), // UTC day, YYYY-MM-DD
+  playerId: text("player_id").notNull(),
+  startedAt: timestamp("started_at").notNull().defaultNow(),
+  finishedAt: timestamp("finished_at"),
+  victory: boolean("victory"),
+  elapsed: doublePrecision("elapsed"), // seconds
+  hintsUsed: integer("hints_used"),
+}, (table) => [
+  unique("daily_attempts_date_player").on(table.date, table.playerId),
+]);
+
+export const insertDailyAttemptSchema = createInsertSchema(dailyAttempts, {
+  playerId: (schema) => schema.min(8).max(64),
+}).pick({
+  date: true,
+  playerId: true,
+});
+
+// Route parameters of /api/daily/attempts/:id/...
+export const dailyAttemptParamsSchema = z.object({
+  id: z.coerce.number().int().positive().max(0x7FFFFFFF), // serial ids are 32-bit
+});
+
+const dailyRunSchema = z.object({
+  elapsed: z.number().nonnegative(),
+  hintsUsed: z.number().int().nonnegative(),
+});
+
+// A run's input log: [ms since start, event code] pairs
+const inputLogSchema = z.array(z.tuple([z.number().int().nonnegative(), z.string().length(1)])).max(100000);
+
+// How a ranked attempt ended; a win brings its input log, which the server re-plays
+// before entering it on the leaderboards
+export const dailyResultSchema = z.discriminatedUnion("victory", [
+  dailyRunSchema.extend({ victory: z.literal(false) }),
+  dailyRunSchema.extend({ victory: z.literal(true), events: inputLogSchema }),
+]);
+
+export type InsertDailyAttempt = z.infer<typeof insertDailyAttemptSchema>;
+export type DailyResult = z.infer<typeof dailyResultSchema>;
+export type DailyAttempt = typeof dailyAttempts.$inferSelect;
+
+// Completed (victorious) runs for the leaderboards
+export const scores = pgTable("scores", {
+  id: serial("id").primaryKey(),
+  playerId: text("player_id").notNull(),
+  userId: integer("user_id").references(() => users.id), // set when the run was played signed in
+  difficulty: text("difficulty", { enum: difficulties }).notNull(),
+  mazeCode: text("maze_code").notNull(),
+  seed: bigint("seed", { mode: "number" }).notNull(),
+  elapsed: doublePrecision("elapsed").notNull(), // seconds
+  timeRemaining: integer("time_remaining").notNull(),
+  parTime: doublePrecision("par_time").notNull(),
+  hintsUsed: integer("hints_used").notNull(),
+  createdAt: timestamp("created_at", { precision: 3 }).notNull().defaultNow(), // ms, like JS dates, so ranks compare exactly
+}, (table) => [
+  index("scores_difficulty_elapsed").on(table.difficulty, table.elapsed),
+  index("scores_maze_code_elapsed").on(table.mazeCode, table.elapsed),
+]);
+
+export const insertScoreSchema = createInsertSchema(scores, {
+  playerId: (schema) => schema.min(8).max(64),
+  mazeCode: (schema) => schema.max(32),
+  seed: (schema) => schema.int().min(0).max(0xFFFFFFFF),
+  elapsed: (schema) => schema.positive(),
+  timeRemaining: (schema) => schema.int().nonnegative(),
+  parTime: (schema) => schema.nonnegative(),
+  hintsUsed: (schema) => schema.int().nonnegative(),
+}).omit({
+  id: true,
+  createdAt: true,
+});
+
+// A submitted run: the claimed result plus its input log, which the server re-plays.
+// Par time and time remaining are worked out by the server, not taken from the client.
+export const submitScoreSchema = insertScoreSchema.omit({
+  userId: true,
+  parTime: true,
+  timeRemaining: true,
+}).extend({
+  events: inputLogSchema,
+});
+
+export const scoreWindows = ["day", "week", "month", "all"] as const;
+
+// Query string of GET /api/scores
+export const scoreQuerySchema = z.object({
+  difficulty: z.enum(difficulties).optional(),
+  mazeCode: z.string().max(32).optional(),
+  seed: z.coerce.number().int().min(0).max(0xFFFFFFFF).optional(),
+  window: z.enum(scoreWindows).default("all"),
+  limit: z.coerce.number().int().min(1).max(100).default(10),
+});
+
+export type InsertScore = z.infer<typeof insertScoreSchema>;
+export type SubmitScore = z.infer<typeof submitScoreSchema>;
+export type Score = typeof scores.$inferSelect;
+export type ScoreQuery = z.infer<typeof scoreQuerySchema>;
+export type ScoreWindow = (typeof scoreWindows)[number];
+
+// Best result on each campaign level for signed-in players (anonymous progress stays in the browser)
+export const campaignProgress = pgTable("campaign_progress", {
+  id: serial("id").primaryKey(),
+  userId: integer("user_id").notNull().references(() => users.id),
+  levelId: integer("level_id").notNull(),
+  stars: integer("stars").notNull(),
+  bestElapsed: doublePrecision("best_elapsed").notNull(), // seconds
+  updatedAt: timestamp("updated_at").notNull().defaultNow(),
+}, (table) => [
+  unique("campaign_progress_user_level").on(table.userId, table.levelId),
+]);
+
+export const insertCampaignProgressSchema = createInsertSchema(campaignProgress).omit({
+  id: true,
+  updatedAt: true,
+});
+
+// A won campaign level; stars are worked out by the server from the re-played run
+export const submitCampaignRunSchema = z.object({
+  levelId: z.number().int().positive(),
+  elapsed: z.number().positive(),
+  hintsUsed: z.number().int().nonnegative(),
+  events: inputLogSchema,
+});
+
+export type InsertCampaignProgress = z.infer<typeof insertCampaignProgressSchema>;
+export type CampaignProgress = typeof campaignProgress.$inferSelect;
+export type SubmitCampaignRun = z.infer<typeof submitCampaignRunSchema>;